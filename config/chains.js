@@ -0,0 +1,132 @@
+// server/config/chains.js
+const { ethers } = require('ethers');
+
+// Known deployments. Any field can be overridden with CHAIN_<KEY>_<FIELD>,
+// e.g. CHAIN_WORLDCHAIN_SEPOLIA_RPC_URL or CHAIN_LOCAL_CONTRACT_ADDRESS.
+// Only testnet chains get a faucet; custom chains are not testnets unless CHAIN_<KEY>_TESTNET=true.
+const PRESETS = {
+    'worldchain-sepolia': {
+        name: 'World Chain Sepolia',
+        chainId: 4801,
+        rpcUrl: 'https://worldchain-sepolia.g.alchemy.com/public',
+        contractAddress: '0xbCD7cd28A214772A8E785E1f2E0ca19f01FdCEf4',
+        startBlock: 0,
+        testnet: true
+    },
+    'worldchain': {
+        name: 'World Chain',
+        chainId: 480,
+        rpcUrl: 'https://worldchain-mainnet.g.alchemy.com/public',
+        startBlock: 0,
+        testnet: false
+    },
+    'local': {
+        name: 'Local node (Hardhat / Anvil)',
+        chainId: 31337,
+        rpcUrl: 'http://127.0.0.1:8545',
+        startBlock: 0,
+        testnet: true
+    }
+};
+
+const DEFAULT_CHAINS = 'worldchain-sepolia';
+
+let chains = null;
+
+function envPrefix(key) {
+    return `CHAIN_${key.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+}
+
+function toBoolean(value, key, field) {
+    if (typeof value === 'boolean') return value;
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    throw new Error(`Invalid ${field} for chain "${key}": ${value} (use true or false)`);
+}
+
+function toInteger(value, key, field) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+        throw new Error(`Invalid ${field} for chain "${key}": ${value}`);
+    }
+    return number;
+}
+
+// One chain: preset values, then CHAIN_<KEY>_* overrides, then validation
+function loadChain(key, env, isOnlyChain) {
+    const prefix = envPrefix(key);
+    const preset = PRESETS[key] || {};
+    const read = (field) => env[prefix + field];
+
+    const chain = {
+        key,
+        name: read('NAME') || preset.name || key,
+        chainId: read('CHAIN_ID') || preset.chainId,
+        // RPC_URL / INDEXER_START_BLOCK still configure a single-chain setup
+        rpcUrl: read('RPC_URL') || (isOnlyChain && env.RPC_URL) || preset.rpcUrl,
+        contractAddress: read('CONTRACT_ADDRESS') || preset.contractAddress,
+        startBlock: read('START_BLOCK') || (isOnlyChain && env.INDEXER_START_BLOCK) || preset.startBlock || 0,
+        testnet: read('TESTNET') || preset.testnet || false
+    };
+
+    if (chain.chainId === undefined) {
+        throw new Error(`Chain "${key}" needs ${prefix}CHAIN_ID`);
+    }
+    if (!chain.rpcUrl) {
+        throw new Error(`Chain "${key}" needs ${prefix}RPC_URL`);
+    }
+    if (!chain.contractAddress || !ethers.isAddress(chain.contractAddress)) {
+        throw new Error(`Chain "${key}" needs a valid ${prefix}CONTRACT_ADDRESS`);
+    }
+
+    return Object.freeze({
+        ...chain,
+        chainId: toInteger(chain.chainId, key, 'chain id'),
+        contractAddress: ethers.getAddress(chain.contractAddress),
+        startBlock: toInteger(chain.startBlock, key, 'start block'),
+        testnet: toBoolean(chain.testnet, key, 'testnet flag')
+    });
+}
+
+// Every chain listed in CHAINS (comma separated keys), the first one is the default
+// unless DEFAULT_CHAIN says otherwise
+function loadChains(env = process.env) {
+    const keys = (env.CHAINS || DEFAULT_CHAINS).split(',').map(key => key.trim()).filter(Boolean);
+    const loaded = keys.map(key => loadChain(key, env, keys.length === 1));
+
+    const ids = new Set();
+    for (const chain of loaded) {
+        if (ids.has(chain.chainId)) {
+            throw new Error(`Chain id ${chain.chainId} is configured twice`);
+        }
+        ids.add(chain.chainId);
+    }
+
+    const defaultKey = env.DEFAULT_CHAIN || keys[0];
+    const defaultChain = loaded.find(chain => chain.key === defaultKey);
+    if (!defaultChain) {
+        throw new Error(`DEFAULT_CHAIN "${defaultKey}" is not listed in CHAINS`);
+    }
+
+    return { chains: loaded, defaultChain };
+}
+
+function getChains() {
+    if (!chains) {
+        chains = loadChains();
+    }
+    return chains.chains;
+}
+
+function getDefaultChain() {
+    getChains();
+    return chains.defaultChain;
+}
+
+// Look a chain up by key ("worldchain-sepolia") or chain id ("4801")
+function findChain(value) {
+    const text = String(value).trim();
+    return getChains().find(chain => chain.key === text || String(chain.chainId) === text) || null;
+}
+
+module.exports = { PRESETS, loadChains, getChains, getDefaultChain, findChain };
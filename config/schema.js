@@ -0,0 +1,201 @@
+// server/config/schema.js
+const cron = require('node-cron');
+const { ethers } = require('ethers');
+const { loadChains } = require('./chains');
+const { defaultVerifier } = require('../services/humanityVerifier');
+
+// Every environment variable the server reads. Unset optional values fall back
+// to the defaults in the services themselves; set values must be well-formed.
+const SCHEMA = {
+    MONGODB_URI: { type: 'url', required: true, protocols: ['mongodb:', 'mongodb+srv:'] },
+    PORT: { type: 'port' },
+    REDIS_URL: { type: 'url', protocols: ['redis:', 'rediss:'] },
+    TRUST_PROXY: { type: 'string' },
+    LOG_LEVEL: { type: 'enum', values: ['debug', 'info', 'warn', 'error'] },
+    NODE_ENV: { type: 'enum', values: ['development', 'production', 'test'] },
+
+    PRIVATE_KEY: { type: 'privateKeys' },
+    RELAYER_PRIVATE_KEYS: { type: 'privateKeys' },
+    RELAYER_STRATEGY: { type: 'enum', values: ['round-robin', 'least-busy'] },
+    RELAYER_LOW_WATER_ETH: { type: 'ether' },
+
+    SIWE_DOMAIN: { type: 'string', required: true },
+    SESSION_TTL_MS: { type: 'integer', min: 1 },
+    NONCE_TTL_MS: { type: 'integer', min: 1 },
+
+    INDEXER_START_BLOCK: { type: 'integer', min: 0 },
+    INDEXER_CONFIRMATIONS: { type: 'integer', min: 1 },
+    INDEXER_BATCH_SIZE: { type: 'integer', min: 1 },
+
+    TX_STUCK_TIMEOUT_MS: { type: 'integer', min: 1 },
+    TX_POLL_INTERVAL_MS: { type: 'integer', min: 1 },
+    TX_GAS_BUMP_PERCENT: { type: 'integer', min: 1 },
+    TX_MAX_REPLACEMENTS: { type: 'integer', min: 1 },
+    TX_WAIT_TIMEOUT_MS: { type: 'integer', min: 1 },
+
+    FAUCET_DRIP_ETH: { type: 'ether' },
+    FAUCET_COOLDOWN_MS: { type: 'integer', min: 1 },
+    FAUCET_IP_MAX_GRANTS: { type: 'integer', min: 1 },
+    FAUCET_IP_WINDOW_MS: { type: 'integer', min: 1 },
+    FAUCET_DAILY_BUDGET_ETH: { type: 'ether' },
+    FAUCET_RATE_WINDOW_MS: { type: 'integer', min: 1 },
+    FAUCET_RATE_MAX: { type: 'integer', min: 1 },
+    FAUCET_VERIFIER: { type: 'enum', values: ['stub', 'worldid'] },
+    WORLD_ID_APP_ID: { type: 'string' },
+    WORLD_ID_ACTION: { type: 'string' },
+    WORLD_ID_API_URL: { type: 'url' },
+
+    SPONSOR_ENABLED: { type: 'enum', values: ['true', 'false'] },
+    SPONSOR_ADDRESS_DAILY_VOTES: { type: 'integer', min: 1 },
+    SPONSOR_MARKET_BUDGET_ETH: { type: 'ether' },
+    SPONSOR_DAILY_BUDGET_ETH: { type: 'ether' },
+
+    LEADERBOARD_CRON: { type: 'cron' },
+    LEADERBOARD_SIZE: { type: 'integer', min: 1 },
+    LEADERBOARD_MIN_VOTES: { type: 'integer', min: 1 },
+    MARKET_ENDING_SOON_SECONDS: { type: 'integer', min: 1 },
+
+    ADMIN_API_KEYS: { type: 'string' },
+    ADMIN_ADDRESSES: { type: 'string' },
+
+    SETTLEMENT_MAX_ATTEMPTS: { type: 'integer', min: 1 },
+    SETTLEMENT_BACKOFF_MS: { type: 'integer', min: 1 },
+    SETTLEMENT_LOCK_TTL_MS: { type: 'integer', min: 1 },
+    SETTLEMENT_GRACE_MS: { type: 'integer', min: 1 },
+    RPC_BATCH_SIZE: { type: 'integer', min: 1 },
+
+    RECONCILE_CRON: { type: 'cron' },
+    RECONCILE_LOOKBACK_MS: { type: 'integer', min: 1 },
+    VOTE_PENDING_TIMEOUT_MS: { type: 'integer', min: 1 },
+
+    WEBHOOK_TIMEOUT_MS: { type: 'integer', min: 1 },
+    WEBHOOK_MAX_ATTEMPTS: { type: 'integer', min: 1 },
+    WEBHOOK_BACKOFF_MS: { type: 'integer', min: 1 },
+
+    CACHE_ACTIVE_MARKET_TTL_MS: { type: 'integer', min: 1 },
+    CACHE_MARKET_COUNT_TTL_MS: { type: 'integer', min: 1 },
+    CACHE_CONFIG_TTL_MS: { type: 'integer', min: 1 },
+
+    FEED_TRENDING_GRAVITY: { type: 'number', min: 0.1 },
+    FEED_TRENDING_WINDOW_MS: { type: 'integer', min: 1 },
+    FEED_REFRESH_CRON: { type: 'cron' },
+
+    IPFS_CLIENT: { type: 'enum', values: ['gateway', 'stub'] },
+    IPFS_GATEWAY_URL: { type: 'url', protocols: ['http:', 'https:'] },
+    IPFS_TIMEOUT_MS: { type: 'integer', min: 1 },
+
+    MODERATION_REPORT_THRESHOLD: { type: 'integer', min: 1 },
+    MODERATION_CLASSIFIER: { type: 'enum', values: ['stub', 'http'] },
+    MODERATION_CLASSIFIER_URL: { type: 'url', protocols: ['http:', 'https:'] },
+    MODERATION_CLASSIFIER_KEY: { type: 'string' },
+    MODERATION_CLASSIFIER_TIMEOUT_MS: { type: 'integer', min: 1 },
+    MODERATION_BLOCKLIST: { type: 'string' },
+
+    HEALTH_CHECK_TIMEOUT_MS: { type: 'integer', min: 1 },
+    HEALTH_MAX_BLOCK_AGE_SECONDS: { type: 'integer', min: 1 },
+    HEALTH_MAX_INDEXER_LAG_BLOCKS: { type: 'integer', min: 1 },
+    HEALTH_MAX_SWEEP_AGE_MS: { type: 'integer', min: 1 },
+    HEALTH_MAX_QUEUE_DEPTH: { type: 'integer', min: 1 }
+};
+
+class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+// Returns a problem description, or null when the value is fine
+function checkValue(spec, value) {
+    switch (spec.type) {
+        case 'string':
+            return null;
+        case 'integer': {
+            const number = Number(value);
+            if (!/^-?\d+$/.test(value.trim()) || !Number.isSafeInteger(number)) return 'must be an integer';
+            if (spec.min !== undefined && number < spec.min) return `must be at least ${spec.min}`;
+            return null;
+        }
+        case 'number': {
+            const number = Number(value);
+            if (!value.trim() || !Number.isFinite(number)) return 'must be a number';
+            if (spec.min !== undefined && number < spec.min) return `must be at least ${spec.min}`;
+            return null;
+        }
+        case 'port': {
+            const number = Number(value);
+            return Number.isInteger(number) && number > 0 && number < 65536 ? null : 'must be a TCP port';
+        }
+        case 'ether':
+            try {
+                return ethers.parseEther(value) >= 0n ? null : 'must not be negative';
+            } catch (error) {
+                return 'must be an ETH amount, e.g. 0.01';
+            }
+        case 'url':
+            try {
+                const url = new URL(value);
+                return !spec.protocols || spec.protocols.includes(url.protocol)
+                    ? null
+                    : `must be a ${spec.protocols.join(' or ')} URL`;
+            } catch (error) {
+                return 'must be a URL';
+            }
+        case 'enum':
+            return spec.values.includes(value) ? null : `must be one of: ${spec.values.join(', ')}`;
+        case 'cron':
+            return cron.validate(value) ? null : 'must be a cron expression';
+        case 'privateKeys': {
+            const keys = value.split(',').map(key => key.trim()).filter(Boolean);
+            return keys.every(key => ethers.isHexString(key, 32) || ethers.isHexString('0x' + key, 32))
+                ? null
+                : 'must be comma separated 32-byte hex private keys';
+        }
+        default:
+            return `has unknown schema type ${spec.type}`;
+    }
+}
+
+// Check the whole environment at once so every problem is reported together
+function validateEnv(env = process.env) {
+    const problems = [];
+
+    for (const [name, spec] of Object.entries(SCHEMA)) {
+        const value = env[name];
+        if (value === undefined || value === '') {
+            if (spec.required) problems.push(`${name} is required`);
+            continue;
+        }
+
+        const problem = checkValue(spec, value);
+        if (problem) problems.push(`${name} ${problem}`);
+    }
+
+    // Settings that only matter in combination with others
+    if (!env.PRIVATE_KEY && !env.RELAYER_PRIVATE_KEYS) {
+        problems.push('PRIVATE_KEY or RELAYER_PRIVATE_KEYS is required');
+    }
+    if (env.MODERATION_CLASSIFIER === 'http' && !env.MODERATION_CLASSIFIER_URL) {
+        problems.push('MODERATION_CLASSIFIER_URL is required when MODERATION_CLASSIFIER=http');
+    }
+
+    let chains = [];
+    try {
+        ({ chains } = loadChains(env));
+    } catch (error) {
+        problems.push(error.message);
+    }
+
+    // Only testnet chains run the faucet
+    const servesFaucet = chains.some(chain => chain.testnet);
+    if (servesFaucet && (env.FAUCET_VERIFIER || defaultVerifier(env)) === 'worldid' && !env.WORLD_ID_APP_ID) {
+        problems.push('WORLD_ID_APP_ID is required when FAUCET_VERIFIER=worldid (the default outside NODE_ENV=development)');
+    }
+
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+}
+
+module.exports = { SCHEMA, ConfigError, validateEnv };
@@ -2,13 +2,87 @@ const mongoose = require("mongoose");
 
 // Meme Schema
 const memeSchema = new mongoose.Schema({
+  chainId: {
+    type: Number,
+    required: true
+  },
   cid: String,
   isTemplate: Boolean,
   memeTemplate: String,
   attestationHash: String,
   // type: String,
+  creator: String,
+  transactionHash: String,
+  blockNumber: Number,
+  // Moderation state; hidden and removed memes are left out of public listings
+  moderation: {
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'hidden', 'removed'],
+      default: 'pending'
+    },
+    reportCount: {
+      type: Number,
+      default: 0
+    },
+    // Set when the classifier screened the meme as unsafe
+    flagged: {
+      type: Boolean,
+      default: false
+    },
+    label: String,
+    score: Number,
+    screenedAt: Date,
+    autoHiddenAt: Date,
+    reviewedBy: String,
+    reviewedAt: Date,
+    note: String
+  },
+  // IPFS metadata, cached the first time the cid is fetched
+  content: {
+    mimeType: String,
+    size: Number,
+    width: Number,
+    height: Number,
+    caption: String,
+    image: String,
+    fetchedAt: Date
+  },
+  // Block time for indexed memes, insert time otherwise
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Feed tallies of the meme's market and scores, kept up to date by the feed service
+  funnyVotes: {
+    type: Number,
+    default: 0
+  },
+  lameVotes: {
+    type: Number,
+    default: 0
+  },
+  totalVotes: {
+    type: Number,
+    default: 0
+  },
+  topScore: Number,
+  trendingScore: Number,
+  scoredAt: Date
 });
 
+// One record per on-chain meme, relay and indexer upsert on this key
+memeSchema.index({ chainId: 1, cid: 1, memeTemplate: 1 }, { unique: true });
+memeSchema.index({ chainId: 1, memeTemplate: 1, createdAt: -1 });
+memeSchema.index({ chainId: 1, isTemplate: 1 });
+memeSchema.index({ chainId: 1, createdAt: -1 });
+memeSchema.index({ chainId: 1, topScore: -1, _id: -1 });
+memeSchema.index({ chainId: 1, trendingScore: -1, _id: -1 });
+memeSchema.index({ chainId: 1, scoredAt: 1 });
+memeSchema.index({ creator: 1 });
+memeSchema.index({ cid: 1 });
+memeSchema.index({ chainId: 1, "moderation.status": 1, "moderation.reviewedAt": 1 });
+
 const Meme = mongoose.model("MantleMemes", memeSchema);
 
 const GasSchema = new mongoose.Schema({
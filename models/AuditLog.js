@@ -0,0 +1,62 @@
+// server/models/AuditLog.js
+const mongoose = require("mongoose");
+
+// Append-only record of every admin action
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: String, // API key name or admin wallet address
+    required: true
+  },
+  actorType: {
+    type: String,
+    enum: ['api-key', 'wallet'],
+    required: true
+  },
+  role: {
+    type: String,
+    required: true
+  },
+  // Deployment the action ran against
+  chainId: Number,
+  action: {
+    type: String,
+    required: true
+  },
+  params: mongoose.Schema.Types.Mixed,
+  result: {
+    type: String,
+    enum: ['success', 'failure'],
+    required: true
+  },
+  response: mongoose.Schema.Types.Mixed,
+  error: String,
+  ip: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ chainId: 1, createdAt: -1 });
+
+// Entries can be inserted and read, never changed or removed
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error("Audit log entries are append-only"));
+  }
+  next();
+});
+
+const rejectWrite = function (next) {
+  next(new Error("Audit log entries are append-only"));
+};
+
+auditLogSchema.pre([
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace'
+], rejectWrite);
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+
+module.exports = { AuditLog };
@@ -0,0 +1,51 @@
+// server/models/Auth.js
+const mongoose = require("mongoose");
+
+// Nonces handed out by /api/nonce, consumed once by /api/auth/verify
+const authNonceSchema = new mongoose.Schema({
+  nonce: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Sessions issued after a successful Sign-In-With-Ethereum verification
+const sessionSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String, // sha256 of the bearer token, the raw token is never stored
+    required: true,
+    unique: true
+  },
+  address: {
+    type: String,
+    required: true
+  },
+  chainId: Number,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB drop expired documents on its own
+authNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+sessionSchema.index({ address: 1 });
+
+const AuthNonce = mongoose.model("AuthNonce", authNonceSchema);
+const Session = mongoose.model("Session", sessionSchema);
+
+module.exports = { AuthNonce, Session };
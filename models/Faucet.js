@@ -0,0 +1,45 @@
+// server/models/Faucet.js
+const mongoose = require("mongoose");
+
+// One faucet drip, kept for rate limits, the daily budget and auditing
+const faucetGrantSchema = new mongoose.Schema({
+  chainId: {
+    type: Number,
+    required: true
+  },
+  address: {
+    type: String,
+    required: true
+  },
+  ip: String,
+  // Proof-of-humanity nullifier, one human gets one drip per cooldown
+  nullifierHash: String,
+  amount: {
+    type: String, // wei
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'sent', 'mined', 'failed'],
+    default: 'queued'
+  },
+  jobId: String,
+  transactionHash: String,
+  error: String,
+  // Usage counters this drip reserved, given back if it never lands:
+  // one grant on each limit counter and the amount on the budget counter
+  limitCounters: [String],
+  budgetCounter: String
+}, {
+  timestamps: true
+});
+
+faucetGrantSchema.index({ chainId: 1, address: 1, createdAt: -1 });
+faucetGrantSchema.index({ chainId: 1, ip: 1, createdAt: -1 });
+faucetGrantSchema.index({ chainId: 1, nullifierHash: 1, createdAt: -1 });
+faucetGrantSchema.index({ chainId: 1, createdAt: -1 });
+faucetGrantSchema.index({ jobId: 1 });
+
+const FaucetGrant = mongoose.model("FaucetGrant", faucetGrantSchema);
+
+module.exports = { FaucetGrant };
@@ -0,0 +1,22 @@
+// server/models/Indexer.js
+const mongoose = require("mongoose");
+
+// Persisted block cursor for the event indexer
+const indexerCursorSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  blockNumber: {
+    type: Number,
+    required: true
+  },
+  blockHash: String
+}, {
+  timestamps: true
+});
+
+const IndexerCursor = mongoose.model("IndexerCursor", indexerCursorSchema);
+
+module.exports = { IndexerCursor };
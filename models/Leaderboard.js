@@ -0,0 +1,33 @@
+// server/models/Leaderboard.js
+const mongoose = require("mongoose");
+
+// Precomputed leaderboard, refreshed on a schedule by LeaderboardService
+const leaderboardSnapshotSchema = new mongoose.Schema({
+  chainId: {
+    type: Number,
+    required: true
+  },
+  board: {
+    type: String,
+    enum: ['creators', 'voters', 'markets'],
+    required: true
+  },
+  window: {
+    type: String,
+    enum: ['daily', 'weekly', 'all-time'],
+    required: true
+  },
+  entries: [mongoose.Schema.Types.Mixed],
+  computedAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+leaderboardSnapshotSchema.index({ chainId: 1, board: 1, window: 1 }, { unique: true });
+
+const LeaderboardSnapshot = mongoose.model("LeaderboardSnapshot", leaderboardSnapshotSchema);
+
+module.exports = { LeaderboardSnapshot };
@@ -0,0 +1,49 @@
+// server/models/Market.js
+const mongoose = require("mongoose");
+
+// Market Schema, populated from MarketCreated / RewardsDistributed events
+const marketSchema = new mongoose.Schema({
+  chainId: {
+    type: Number,
+    required: true
+  },
+  marketId: {
+    type: Number,
+    required: true
+  },
+  creator: {
+    type: String,
+    required: true
+  },
+  endTime: {
+    type: Date,
+    required: true
+  },
+  metadata: String,
+  // User who asked for the market through /api/markets. The relayer is the on-chain creator
+  // and receives the creator reward; this user is credited everywhere else
+  requestedBy: String,
+  isSettled: {
+    type: Boolean,
+    default: false
+  },
+  creatorReward: String,
+  settlementTx: String,
+  settledAt: Date,
+  transactionHash: String,
+  blockNumber: {
+    type: Number,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+marketSchema.index({ chainId: 1, marketId: 1 }, { unique: true });
+marketSchema.index({ creator: 1 });
+marketSchema.index({ requestedBy: 1 });
+marketSchema.index({ endTime: 1 });
+
+const Market = mongoose.model("Market", marketSchema);
+
+module.exports = { Market };
@@ -0,0 +1,29 @@
+// server/models/Moderation.js
+const mongoose = require("mongoose");
+
+// A user's report against a meme, one per reporter and meme
+const memeReportSchema = new mongoose.Schema({
+  memeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  reporter: {
+    type: String,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['offensive', 'spam', 'copyright', 'illegal', 'other'],
+    required: true
+  },
+  details: String
+}, {
+  timestamps: true
+});
+
+memeReportSchema.index({ memeId: 1, reporter: 1 }, { unique: true });
+memeReportSchema.index({ memeId: 1, createdAt: -1 });
+
+const MemeReport = mongoose.model("MemeReport", memeReportSchema);
+
+module.exports = { MemeReport };
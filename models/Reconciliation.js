@@ -0,0 +1,57 @@
+// server/models/Reconciliation.js
+const mongoose = require("mongoose");
+
+// One difference between the database and the chain
+const driftSchema = new mongoose.Schema({
+  type: {
+    type: String, // vote-confirmed, vote-reverted, vote-missing, vote-side, vote-not-on-chain, settlement-missing...
+    required: true
+  },
+  marketId: Number,
+  userAddress: String,
+  detail: String
+}, {
+  _id: false
+});
+
+// Outcome of one reconciliation run on a chain: what was fixed and what needs a human
+const reconciliationReportSchema = new mongoose.Schema({
+  chainId: {
+    type: Number,
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    default: 'schedule'
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date,
+  pendingVotesChecked: {
+    type: Number,
+    default: 0
+  },
+  marketsChecked: {
+    type: Number,
+    default: 0
+  },
+  fixed: [driftSchema],
+  unresolved: [driftSchema],
+  error: String
+}, {
+  timestamps: true
+});
+
+reconciliationReportSchema.index({ chainId: 1, startedAt: -1 });
+
+const ReconciliationReport = mongoose.model("ReconciliationReport", reconciliationReportSchema);
+
+module.exports = { ReconciliationReport };
@@ -0,0 +1,71 @@
+// server/models/RelayJob.js
+const mongoose = require("mongoose");
+
+// One transaction sent (or to be sent) by a relayer wallet
+const relayJobSchema = new mongoose.Schema({
+  jobId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  chainId: {
+    type: Number,
+    required: true
+  },
+  wallet: {
+    type: String,
+    required: true
+  },
+  action: {
+    type: String, // vote, createMeme, releaseRewards, faucet...
+    required: true
+  },
+  // sending: nonce assigned and signed, being broadcast. stuck: every replacement sent, no receipt
+  // yet and the nonce still open. dropped: the nonce was used by a transaction that isn't this job's
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'stuck', 'mined', 'failed', 'dropped'],
+    default: 'queued'
+  },
+  // Transaction request, kept so stuck transactions can be re-sent with higher fees
+  to: {
+    type: String,
+    required: true
+  },
+  data: {
+    type: String,
+    default: "0x"
+  },
+  value: {
+    type: String,
+    default: "0"
+  },
+  gasLimit: String,
+  nonce: Number,
+  maxFeePerGas: String,
+  maxPriorityFeePerGas: String,
+  gasPrice: String,
+  txHash: String,
+  // Every hash broadcast for this nonce, oldest first
+  txHashes: [String],
+  replacements: {
+    type: Number,
+    default: 0
+  },
+  blockNumber: Number,
+  gasUsed: String,
+  // Price actually paid per gas, gasUsed * effectiveGasPrice is the fee
+  effectiveGasPrice: String,
+  error: String,
+  meta: mongoose.Schema.Types.Mixed,
+  sentAt: Date,
+  minedAt: Date
+}, {
+  timestamps: true
+});
+
+relayJobSchema.index({ chainId: 1, wallet: 1, status: 1 });
+
+const RelayJob = mongoose.model("RelayJob", relayJobSchema);
+
+module.exports = { RelayJob };
@@ -0,0 +1,26 @@
+// server/models/RelayNonce.js
+const mongoose = require("mongoose");
+
+// Next EIP-712 nonce each user must sign for a relayed action, per chain
+const relayNonceSchema = new mongoose.Schema({
+  chainId: {
+    type: Number,
+    required: true
+  },
+  address: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+relayNonceSchema.index({ chainId: 1, address: 1 }, { unique: true });
+
+const RelayNonce = mongoose.model("RelayNonce", relayNonceSchema);
+
+module.exports = { RelayNonce };
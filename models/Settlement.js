@@ -3,15 +3,21 @@ const mongoose = require("mongoose");
 
 // Settlement Record Schema
 const settlementSchema = new mongoose.Schema({
+  chainId: {
+    type: Number,
+    required: true
+  },
   marketId: {
     type: Number,
-    required: true,
-    unique: true
+    required: true
   },
+  // On-chain creator, paid the creator reward (the relayer for markets created through /api/markets)
   templateCreator: {
     type: String,
     required: true
   },
+  // User who asked for a relayed market, credited as its creator on leaderboards and profiles
+  requestedBy: String,
   endTime: {
     type: Date,
     required: true
@@ -34,7 +40,7 @@ const settlementSchema = new mongoose.Schema({
   },
   winnerSide: {
     type: String,
-    enum: ['funny', 'lame'],
+    enum: ['funny', 'lame', 'tie', 'no-votes'],
     required: true
   },
   creatorReward: {
@@ -45,6 +51,12 @@ const settlementSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // 'event' when creatorReward was read from RewardsDistributed, 'estimated' otherwise
+  rewardSource: {
+    type: String,
+    enum: ['event', 'estimated'],
+    default: 'event'
+  },
   settlementTx: {
     type: String,
     required: true
@@ -91,6 +103,10 @@ const settlementSchema = new mongoose.Schema({
 
 // User Vote Tracking Schema
 const userVoteSchema = new mongoose.Schema({
+  chainId: {
+    type: Number,
+    required: true
+  },
   userAddress: {
     type: String,
     required: true
@@ -109,6 +125,17 @@ const userVoteSchema = new mongoose.Schema({
     default: "100000000000000" // 0.0001 ETH in wei
   },
   transactionHash: String,
+  relayJobId: String, // set when the vote was sent through /api/relay
+  blockNumber: Number, // set once the event indexer has seen the VoteCast log
+  // pending until its transaction's receipt (or the indexer) shows the VoteCast,
+  // reverted when the transaction failed, was dropped or never cast this vote
+  status: {
+    type: String,
+    enum: ['pending', 'confirmed', 'reverted'],
+    default: 'pending'
+  },
+  confirmedAt: Date,
+  error: String,
   votedAt: {
     type: Date,
     default: Date.now
@@ -118,9 +145,17 @@ const userVoteSchema = new mongoose.Schema({
 });
 
 // Compound index for efficient queries
-userVoteSchema.index({ userAddress: 1, marketId: 1 }, { unique: true });
-settlementSchema.index({ marketId: 1 });
-settlementSchema.index({ settledAt: -1 });
+userVoteSchema.index({ chainId: 1, userAddress: 1, marketId: 1 }, { unique: true });
+userVoteSchema.index({ blockNumber: 1 });
+userVoteSchema.index({ relayJobId: 1 }, { sparse: true });
+userVoteSchema.index({ chainId: 1, status: 1, votedAt: 1 });
+userVoteSchema.index({ chainId: 1, marketId: 1 });
+userVoteSchema.index({ chainId: 1, userAddress: 1, votedAt: 1 });
+userVoteSchema.index({ chainId: 1, updatedAt: 1 });
+settlementSchema.index({ chainId: 1, marketId: 1 }, { unique: true });
+settlementSchema.index({ chainId: 1, settledAt: -1 });
+settlementSchema.index({ chainId: 1, requestedBy: 1 }, { sparse: true });
+settlementSchema.index({ chainId: 1, templateCreator: 1 });
 
 const SettlementRecord = mongoose.model("SettlementRecord", settlementSchema);
 const UserVote = mongoose.model("UserVote", userVoteSchema);
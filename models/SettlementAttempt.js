@@ -0,0 +1,70 @@
+// server/models/SettlementAttempt.js
+const mongoose = require("mongoose");
+
+// One run of the settlement worker for a market
+const settlementAttemptSchema = new mongoose.Schema({
+  chainId: {
+    type: Number,
+    required: true
+  },
+  marketId: {
+    type: Number,
+    required: true
+  },
+  attempt: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['succeeded', 'failed', 'skipped'],
+    required: true
+  },
+  reason: String, // why it was skipped or failed
+  error: String,
+  settlementTx: String,
+  worker: String,
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  finishedAt: Date
+}, {
+  timestamps: true
+});
+
+// Markets whose settlement ran out of attempts, kept until an operator retries them
+const settlementDeadLetterSchema = new mongoose.Schema({
+  chainId: {
+    type: Number,
+    required: true
+  },
+  marketId: {
+    type: Number,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    required: true
+  },
+  lastError: String,
+  deadAt: {
+    type: Date,
+    required: true
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+settlementAttemptSchema.index({ chainId: 1, marketId: 1, startedAt: -1 });
+settlementDeadLetterSchema.index({ chainId: 1, marketId: 1 }, { unique: true });
+settlementDeadLetterSchema.index({ chainId: 1, resolvedAt: 1, deadAt: -1 });
+
+const SettlementAttempt = mongoose.model("SettlementAttempt", settlementAttemptSchema);
+const SettlementDeadLetter = mongoose.model("SettlementDeadLetter", settlementDeadLetterSchema);
+
+module.exports = { SettlementAttempt, SettlementDeadLetter };
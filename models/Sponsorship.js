@@ -0,0 +1,77 @@
+// server/models/Sponsorship.js
+const mongoose = require("mongoose");
+
+// Gas sponsorship limits for one chain, editable by admins at runtime.
+// Unset fields fall back to the SPONSOR_* environment defaults.
+const sponsorshipPolicySchema = new mongoose.Schema({
+  chainId: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  enabled: Boolean,
+  // Sponsored votes per address in any 24 hours
+  addressDailyVotes: Number,
+  // Total wei sponsored for one market (vote value plus gas)
+  marketBudget: String,
+  // Total wei sponsored on this chain in any 24 hours
+  dailyBudget: String,
+  updatedBy: String
+}, {
+  timestamps: true
+});
+
+const SponsorshipPolicy = mongoose.model("SponsorshipPolicy", sponsorshipPolicySchema);
+
+// One relayed transaction paid for by the relayers on a user's behalf
+const sponsoredTxSchema = new mongoose.Schema({
+  chainId: {
+    type: Number,
+    required: true
+  },
+  address: {
+    type: String,
+    required: true
+  },
+  action: {
+    type: String, // vote, createMarket, createMeme
+    required: true
+  },
+  marketId: Number,
+  status: {
+    type: String,
+    enum: ['queued', 'mined', 'reverted', 'failed'],
+    default: 'queued'
+  },
+  jobId: String,
+  transactionHash: String,
+  // All amounts in wei
+  value: {
+    type: String,
+    default: "0"
+  },
+  gasUsed: String,
+  effectiveGasPrice: String,
+  fee: String,
+  // What the relayers paid: value plus fee once mined, the fee alone if reverted,
+  // the value while still pending and nothing if it never made it on-chain
+  cost: {
+    type: String,
+    default: "0"
+  },
+  error: String,
+  // Usage counters this transaction reserved, adjusted to its real cost once it lands
+  voteCounter: String,
+  budgetCounters: [String]
+}, {
+  timestamps: true
+});
+
+sponsoredTxSchema.index({ chainId: 1, address: 1, action: 1, createdAt: -1 });
+sponsoredTxSchema.index({ chainId: 1, marketId: 1 });
+sponsoredTxSchema.index({ chainId: 1, createdAt: -1 });
+sponsoredTxSchema.index({ jobId: 1 });
+
+const SponsoredTx = mongoose.model("SponsoredTx", sponsoredTxSchema);
+
+module.exports = { SponsorshipPolicy, SponsoredTx };
@@ -0,0 +1,24 @@
+// server/models/UsageCounter.js
+const mongoose = require("mongoose");
+
+// Running total for one rate limit or budget window, e.g. faucet:480:budget:<day>.
+// Reserved with a capped $inc so concurrent requests can never overshoot the limit.
+const usageCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: Number,
+  amount: mongoose.Schema.Types.Decimal128, // wei
+  // Removed by MongoDB's TTL monitor (within about a minute), never for all-time counters
+  expiresAt: Date
+}, {
+  timestamps: true
+});
+
+usageCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const UsageCounter = mongoose.model("UsageCounter", usageCounterSchema);
+
+module.exports = { UsageCounter };
@@ -0,0 +1,83 @@
+// server/models/Webhook.js
+const mongoose = require("mongoose");
+
+// A partner endpoint and the event types it wants
+const webhookSubscriptionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  events: {
+    type: [String],
+    required: true
+  },
+  // Only these chains, every chain when empty
+  chainIds: {
+    type: [Number],
+    default: []
+  },
+  // HMAC key for the X-Webhook-Signature header, only shown when created or rotated
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: String
+}, {
+  timestamps: true
+});
+
+webhookSubscriptionSchema.index({ active: 1, events: 1 });
+
+const WebhookSubscription = mongoose.model("WebhookSubscription", webhookSubscriptionSchema);
+
+// One event sent (or to be sent) to one subscription
+const webhookDeliverySchema = new mongoose.Schema({
+  deliveryId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  subscriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  chainId: Number,
+  payload: mongoose.Schema.Types.Mixed,
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  responseStatus: Number,
+  error: String,
+  lastAttemptAt: Date,
+  deliveredAt: Date,
+  // Set on deliveries created by a replay
+  replayOf: String
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ subscriptionId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, createdAt: -1 });
+
+const WebhookDelivery = mongoose.model("WebhookDelivery", webhookDeliverySchema);
+
+module.exports = { WebhookSubscription, WebhookDelivery };
@@ -0,0 +1,40 @@
+// server/scripts/backfill.js
+// Rebuilds indexed markets, memes, votes and settlements from a start block.
+// Usage: pnpm backfill <fromBlock> [chain]   (defaults to the chain's start block and DEFAULT_CHAIN)
+require("dotenv").config();
+const mongoose = require("mongoose");
+const { getDefaultChain, findChain } = require("../config/chains");
+const Deployment = require("../services/deployment");
+const MemeService = require("../services/memeService");
+const { CacheStore } = require("../services/cacheStore");
+
+async function main() {
+  const [arg, chainArg] = process.argv.slice(2);
+  const chain = chainArg ? findChain(chainArg) : getDefaultChain();
+
+  if (!chain) {
+    throw new Error(`Unknown chain: ${chainArg}`);
+  }
+
+  const fromBlock = arg !== undefined ? Number(arg) : chain.startBlock;
+
+  if (!Number.isInteger(fromBlock) || fromBlock < 0) {
+    throw new Error(`Invalid start block: ${arg}`);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const deployment = new Deployment(chain, new MemeService());
+  try {
+    await deployment.eventIndexer.backfill(fromBlock);
+  } finally {
+    await deployment.close();
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error("Backfill failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => Promise.all([mongoose.disconnect(), CacheStore.getDefault().close()]));
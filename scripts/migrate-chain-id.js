@@ -0,0 +1,62 @@
+// server/scripts/migrate-chain-id.js
+// Stamps records written before multi-chain support with a chain id and
+// rebuilds indexes that are now scoped per chain.
+// Usage: pnpm migrate:chain-id [chain]   (defaults to DEFAULT_CHAIN)
+require("dotenv").config();
+const mongoose = require("mongoose");
+const { getDefaultChain, findChain } = require("../config/chains");
+const { Meme } = require("../model");
+const { Market } = require("../models/Market");
+const { SettlementRecord, UserVote } = require("../models/Settlement");
+const { SettlementAttempt, SettlementDeadLetter } = require("../models/SettlementAttempt");
+const { RelayJob } = require("../models/RelayJob");
+const { RelayNonce } = require("../models/RelayNonce");
+const { FaucetGrant } = require("../models/Faucet");
+const { LeaderboardSnapshot } = require("../models/Leaderboard");
+const { IndexerCursor } = require("../models/Indexer");
+
+const MODELS = [
+  Meme, Market, SettlementRecord, UserVote, SettlementAttempt,
+  SettlementDeadLetter, RelayJob, RelayNonce, FaucetGrant
+];
+
+async function main() {
+  const chainArg = process.argv[2];
+  const chain = chainArg ? findChain(chainArg) : getDefaultChain();
+
+  if (!chain) {
+    throw new Error(`Unknown chain: ${chainArg}`);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log(`Assigning unscoped records to ${chain.name} (${chain.chainId})`);
+
+  for (const Model of MODELS) {
+    const { modifiedCount } = await Model.collection.updateMany(
+      { chainId: { $exists: false } },
+      { $set: { chainId: chain.chainId } }
+    );
+    // Drops the old single-chain unique indexes, e.g. { marketId: 1 }
+    await Model.syncIndexes();
+    console.log(`${Model.modelName}: ${modifiedCount} updated`);
+  }
+
+  // Boards are recomputed per chain by the leaderboard service
+  await LeaderboardSnapshot.collection.deleteMany({ chainId: { $exists: false } });
+  await LeaderboardSnapshot.syncIndexes();
+
+  const cursor = await IndexerCursor.findOneAndUpdate(
+    { name: "FunnyOrFud" },
+    { name: `FunnyOrFud:${chain.chainId}` }
+  );
+  if (cursor) {
+    console.log(`Indexer cursor moved to FunnyOrFud:${chain.chainId} at block ${cursor.blockNumber}`);
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error("Migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -1,95 +1,254 @@
 // server/server.js - Updated with Auto-Settlement
+// Load .env before any module below reads process.env
+require("dotenv").config();
 const express = require("express");
 const mongoose = require("mongoose");
 const cors = require("cors");
-const { Meme, GasModel } = require("./model");
+const { Meme } = require("./model");
 const { SettlementRecord, UserVote } = require("./models/Settlement");
-const { ethers, parseEther, Contract } = require("ethers");
-const CONTRACT = require("./FunnyOrFud.json");
-const AutoSettlementService = require("./services/settlementService");
-require("dotenv").config();
+const { RelayJob } = require("./models/RelayJob");
+const { ethers } = require("ethers");
+const { getChains, getDefaultChain, findChain } = require("./config/chains");
+const Deployment = require("./services/deployment");
+const AuthService = require("./services/authService");
+const RelayerPool = require("./services/relayerPool");
+const RateLimiter = require("./services/rateLimiter");
+const MetaTxService = require("./services/metaTxService");
+const SponsorshipService = require("./services/sponsorshipService");
+const MemeService = require("./services/memeService");
+const ModerationService = require("./services/moderationService");
+const LeaderboardService = require("./services/leaderboardService");
+const EventStreamService = require("./services/eventStream");
+const AdminService = require("./services/adminService");
+const WebhookService = require("./services/webhookService");
+const HealthService = require("./services/healthService");
+const FeedService = require("./services/feedService");
+const ExportService = require("./services/exportService");
+const { validateEnv } = require("./config/schema");
+const { logger, requestLogger } = require("./services/logger");
+const metrics = require("./services/metrics");
+
+// Refuse to start on missing or malformed settings instead of failing later
+try {
+  validateEnv();
+} catch (error) {
+  logger.error("Invalid configuration", { problems: error.problems || [error.message] });
+  process.exit(1);
+}
 
 const app = express();
 
+// Needed for per-IP limits behind a load balancer, e.g. TRUST_PROXY=1
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set("trust proxy", /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 // Middleware
+app.use(requestLogger());
 app.use(cors());
 app.use(express.json());
 
 // MongoDB Connection
 mongoose
   .connect(process.env.MONGODB_URI)
-  .then(() => console.log("Connected to MongoDB"))
-  .catch((err) => console.error("MongoDB connection error:", err));
+  .then(() => logger.info("Connected to MongoDB"))
+  .catch((err) => logger.error("MongoDB connection error", { error: err }));
+
+// Reports, classifier screening and the moderation queue
+const moderationService = new ModerationService();
+
+// Meme records, IPFS metadata and the templates catalog
+const memeService = new MemeService(moderationService);
 
-// Initialize ethers.js provider and wallet
-const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-const relayerWallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
+// Per-address activity exports with profit-and-loss totals
+const exportService = new ExportService();
 
-const contractAddress = "0xbCD7cd28A214772A8E785E1f2E0ca19f01FdCEf4";
-const contractABI = CONTRACT.abi;
+// One deployment per configured chain, each with its own relayer queues,
+// settlement service and event indexer
+const deployments = new Map();
+for (const chain of getChains()) {
+  const deployment = new Deployment(chain, memeService);
+  deployment.start();
+  memeService.trackRelayedMemes(deployment.relayerPool);
+  deployments.set(chain.chainId, deployment);
+}
+const defaultDeployment = deployments.get(getDefaultChain().chainId);
+
+// Liveness and readiness checks across every deployment
+const healthService = new HealthService(deployments);
+
+// Server-Sent Events for live votes, settlements and relay jobs
+const eventStream = new EventStreamService();
+
+// Leaderboards, recomputed on a schedule for every chain
+const leaderboardService = new LeaderboardService([...deployments.keys()]);
+leaderboardService.start();
+
+// Newest, top and trending meme feeds, scores refreshed on a schedule for every chain
+const feedService = new FeedService(moderationService, [...deployments.keys()]);
+feedService.start();
+
+// Per-IP request limiter in front of the faucet grant checks
+const faucetLimiter = new RateLimiter({
+  windowMs: Number(process.env.FAUCET_RATE_WINDOW_MS) || 60 * 1000,
+  max: Number(process.env.FAUCET_RATE_MAX) || 5
+});
 
-// Initialize Auto-Settlement Service
-const settlementService = new AutoSettlementService();
-settlementService.start();
+// Sign-In-With-Ethereum sessions
+const authService = new AuthService();
+const requireSession = authService.requireSession();
 
-// Health Check
-app.get("/api/health", async (req, res) => {
+// Admin API keys / wallets with roles, every admin action is audited
+const adminService = new AdminService(authService);
+
+// Signed, retried webhooks for partner bots
+const webhookService = new WebhookService();
+webhookService.start();
+
+// Every API call works on one deployment, picked with ?chain=<key or chain id>
+// (or a "chain" body field / X-Chain header) and defaulting to DEFAULT_CHAIN
+app.use("/api", (req, res, next) => {
+  const requested = req.query.chain || (req.body && req.body.chain) || req.get("X-Chain");
+  if (!requested) {
+    req.deployment = defaultDeployment;
+    return next();
+  }
+
+  const chain = findChain(requested);
+  if (!chain) {
+    return res.status(400).json({ message: `Unknown chain "${requested}"` });
+  }
+  req.deployment = deployments.get(chain.chainId);
+  next();
+});
+
+// Configured chains and their contracts
+app.get("/api/chains", (req, res) => {
+  res.json({
+    defaultChain: defaultDeployment.chain.key,
+    chains: [...deployments.values()].map(({ chain }) => ({
+      key: chain.key,
+      name: chain.name,
+      chainId: chain.chainId,
+      contractAddress: chain.contractAddress,
+      startBlock: chain.startBlock,
+      testnet: chain.testnet
+    }))
+  });
+});
+
+// Prometheus scrape endpoint
+app.get("/metrics", async (req, res) => {
   try {
-    res.status(200).json({
-      status: "healthy",
-      settlement_service: "running",
-      timestamp: new Date().toISOString()
-    });
+    res.set("Content-Type", metrics.register.contentType);
+    res.send(await metrics.register.metrics());
   } catch (error) {
-    res.status(400).json({ message: error.message });
+    logger.error("Error collecting metrics", { error });
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Liveness: the process is up and serving requests
+app.get(["/api/health", "/api/health/live"], (req, res) => {
+  res.status(200).json(healthService.liveness());
+});
+
+// Readiness: MongoDB, RPC, relayers, settlement sweeps and queues all usable
+app.get("/api/health/ready", async (req, res) => {
+  try {
+    const report = await healthService.readiness();
+    res.status(report.status === "fail" ? 503 : 200).json(report);
+  } catch (error) {
+    logger.error("Error checking readiness", { error });
+    res.status(503).json({ status: "fail", message: error.message });
   }
 });
 
 // Generate secure nonce for wallet authentication
 app.get("/api/nonce", async (req, res) => {
   try {
-    // Generate a secure nonce (at least 8 alphanumeric characters as per MiniKit docs)
-    const generateSecureNonce = () => {
-      const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-      let result = '';
-      for (let i = 0; i < 16; i++) {
-        result += chars.charAt(Math.floor(Math.random() * chars.length));
-      }
-      return result;
-    };
-
-    const nonce = generateSecureNonce();
-
-    // In a production app, you should store this nonce temporarily (e.g., in Redis)
-    // and associate it with the user session for verification
+    // Nonce is stored with its expiry and consumed by /api/auth/verify
+    const { nonce, expiresAt } = await authService.issueNonce();
 
     res.json({
       nonce,
-      expiresAt: new Date(Date.now() + 5 * 60 * 1000).toISOString() // 5 minutes
+      expiresAt: expiresAt.toISOString()
     });
   } catch (error) {
-    console.error("Error generating nonce:", error);
+    logger.error("Error generating nonce", { error });
     res.status(500).json({ message: "Failed to generate nonce", error: error.message });
   }
 });
 
+// Verify a signed SIWE (EIP-4361) message and issue a session token.
+// The message's Chain ID must be the chain selected for the request.
+app.post("/api/auth/verify", async (req, res) => {
+  const { message, signature } = req.body;
+
+  try {
+    const session = await authService.verifySignIn(message, signature, req.deployment.chainId);
+
+    res.json({
+      token: session.token,
+      address: session.address,
+      expiresAt: session.expiresAt.toISOString()
+    });
+  } catch (error) {
+    if (error instanceof AuthService.AuthError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    logger.error("Error verifying sign-in", { error });
+    res.status(500).json({ message: "Failed to verify sign-in", error: error.message });
+  }
+});
+
+// Current session
+app.get("/api/auth/session", requireSession, async (req, res) => {
+  res.json({
+    address: req.session.address,
+    expiresAt: req.session.expiresAt.toISOString()
+  });
+});
+
+// Revoke the current session
+app.post("/api/auth/logout", requireSession, async (req, res) => {
+  try {
+    await authService.revokeSession(authService.extractToken(req));
+    res.json({ message: "Logged out" });
+  } catch (error) {
+    logger.error("Error logging out", { error });
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // Track user votes when they vote
-app.post("/api/user-vote", async (req, res) => {
-  const { userAddress, marketId, vote, transactionHash } = req.body;
-  
-  if (!userAddress || marketId === undefined || !vote) {
+app.post("/api/user-vote", requireSession, async (req, res) => {
+  const { marketId, vote, transactionHash } = req.body;
+  const userAddress = req.session.address;
+  const { chainId, reconciliationService } = req.deployment;
+
+  if (marketId === undefined || !vote) {
     return res.status(400).json({ message: "Missing required parameters" });
   }
+  // The vote stays pending until this transaction's receipt shows it
+  if (!ethers.isHexString(transactionHash, 32)) {
+    return res.status(400).json({ message: "A valid transactionHash is required" });
+  }
 
   try {
-    // Check if user already voted
-    const existingVote = await UserVote.findOne({ userAddress, marketId });
-    if (existingVote) {
+    // Check if user already voted, a reverted vote may be replaced
+    const existingVote = await UserVote.findOne({ chainId, userAddress, marketId });
+    if (existingVote && existingVote.status !== "reverted") {
       return res.status(400).json({ message: "User already voted on this market" });
     }
+    if (existingVote) {
+      await existingVote.deleteOne();
+    }
 
     // Save user vote
     const userVote = new UserVote({
+      chainId,
       userAddress,
       marketId,
       vote,
@@ -97,9 +256,13 @@ app.post("/api/user-vote", async (req, res) => {
     });
 
     await userVote.save();
-    res.json({ message: "Vote recorded successfully" });
+    reconciliationService.trackVote(userVote).catch((error) => {
+      logger.warn("Could not confirm vote", { voteId: userVote._id, error: error.message });
+    });
+
+    res.json({ message: "Vote recorded, pending confirmation", status: userVote.status });
   } catch (error) {
-    console.error("Error recording user vote:", error);
+    logger.error("Error recording user vote", { error });
     res.status(500).json({ message: "Failed to record vote", error: error.message });
   }
 });
@@ -108,11 +271,18 @@ app.post("/api/user-vote", async (req, res) => {
 app.get("/api/user-votes/:address", async (req, res) => {
   try {
     const { address } = req.params;
-    const userVotes = await UserVote.find({ userAddress: address }).sort({ votedAt: -1 });
+    const filter = { chainId: req.deployment.chainId, userAddress: address };
+    if (req.query.status !== undefined) {
+      if (!["pending", "confirmed", "reverted"].includes(req.query.status)) {
+        return res.status(400).json({ message: "status must be pending, confirmed or reverted" });
+      }
+      filter.status = req.query.status;
+    }
+    const userVotes = await UserVote.find(filter).sort({ votedAt: -1 });
     
     res.json(userVotes);
   } catch (error) {
-    console.error("Error fetching user votes:", error);
+    logger.error("Error fetching user votes", { error });
     res.status(500).json({ message: error.message });
   }
 });
@@ -120,10 +290,14 @@ app.get("/api/user-votes/:address", async (req, res) => {
 // Get user's settlement history
 app.get("/api/user-settlements/:address", async (req, res) => {
   try {
-    const { address } = req.params;
+    // Participants are stored checksummed, as they appear in VoteCast logs
+    const address = ethers.isAddress(req.params.address)
+      ? ethers.getAddress(req.params.address)
+      : req.params.address;
     
     // Find all settlements where user participated
     const settlements = await SettlementRecord.find({
+      chainId: req.deployment.chainId,
       "participants.address": address
     }).sort({ settledAt: -1 });
 
@@ -138,9 +312,8 @@ app.get("/api/user-settlements/:address", async (req, res) => {
         userWon: userParticipation.won,
         userStake: userParticipation.staked,
         userPayout: userParticipation.payout,
-        netResult: userParticipation.won ? 
-          (BigInt(userParticipation.payout) - BigInt(userParticipation.staked)).toString() : 
-          (-BigInt(userParticipation.staked)).toString(),
+        // payout is 0 for losing votes and a share of the pool on a tie
+        netResult: (BigInt(userParticipation.payout) - BigInt(userParticipation.staked)).toString(),
         totalVotes: settlement.totalVotes,
         yesVotes: settlement.yesVotes,
         noVotes: settlement.noVotes,
@@ -151,7 +324,71 @@ app.get("/api/user-settlements/:address", async (req, res) => {
 
     res.json(userSettlements);
   } catch (error) {
-    console.error("Error fetching user settlements:", error);
+    logger.error("Error fetching user settlements", { error });
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Staking activity and P&L for an address, streamed:
+// /api/export/:address?format=csv|json&from=2024-01-01&to=2024-12-31
+app.get("/api/export/:address", async (req, res) => {
+  if (!ethers.isAddress(req.params.address)) {
+    return res.status(400).json({ message: "Invalid address" });
+  }
+  const address = ethers.getAddress(req.params.address);
+  const chainId = req.deployment.chainId;
+
+  try {
+    const { format, from, to } = exportService.parseOptions(req.query);
+
+    res.set({
+      "Content-Type": format === "csv" ? "text/csv; charset=utf-8" : "application/json; charset=utf-8",
+      "Content-Disposition": `attachment; filename="activity-${chainId}-${address}.${format}"`
+    });
+    await exportService.writeActivity(res, { chainId, address, format, from, to });
+  } catch (error) {
+    if (error instanceof ExportService.ExportError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    logger.error("Error exporting activity", { error, address });
+    // Once rows are streamed the status is sent, cut the response so it is not mistaken for complete
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Leaderboards: /api/leaderboards/creators|voters|markets?window=daily|weekly|all-time
+app.get("/api/leaderboards/:board", async (req, res) => {
+  try {
+    const { board } = req.params;
+    const window = req.query.window || "all-time";
+
+    if (!LeaderboardService.BOARDS.includes(board)) {
+      return res.status(404).json({ message: "Leaderboard not found" });
+    }
+    if (!LeaderboardService.WINDOWS.includes(window)) {
+      return res.status(400).json({ message: "window must be daily, weekly or all-time" });
+    }
+
+    res.json(await leaderboardService.getLeaderboard(board, window, req.deployment.chainId));
+  } catch (error) {
+    logger.error("Error fetching leaderboard", { error });
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Creator and voter reputation for an address
+app.get("/api/profile/:address", async (req, res) => {
+  try {
+    if (!ethers.isAddress(req.params.address)) {
+      return res.status(400).json({ message: "Invalid address" });
+    }
+
+    res.json(await leaderboardService.getProfile(ethers.getAddress(req.params.address), req.deployment.chainId));
+  } catch (error) {
+    logger.error("Error fetching profile", { error });
     res.status(500).json({ message: error.message });
   }
 });
@@ -160,7 +397,7 @@ app.get("/api/user-settlements/:address", async (req, res) => {
 app.get("/api/settlement/:marketId", async (req, res) => {
   try {
     const { marketId } = req.params;
-    const settlement = await SettlementRecord.findOne({ marketId: parseInt(marketId) });
+    const settlement = await SettlementRecord.findOne({ chainId: req.deployment.chainId, marketId: parseInt(marketId) });
     
     if (!settlement) {
       return res.status(404).json({ message: "Settlement not found" });
@@ -168,27 +405,257 @@ app.get("/api/settlement/:marketId", async (req, res) => {
     
     res.json(settlement);
   } catch (error) {
-    console.error("Error fetching settlement:", error);
+    logger.error("Error fetching settlement", { error });
     res.status(500).json({ message: error.message });
   }
 });
 
 // Manual settlement trigger (admin endpoint)
-app.post("/api/manual-settle/:marketId", async (req, res) => {
+app.post("/api/manual-settle/:marketId", adminService.requireRole("operator"), adminService.audited("manual-settle", async (req) => {
+  const { marketId } = req.params;
+
+  logger.info("Manual settlement requested", { chainId: req.deployment.chainId, marketId, actor: req.admin.actor });
+  const success = await req.deployment.settlementService.manualSettle(parseInt(marketId));
+
+  if (success) {
+    return { body: { message: `Market ${marketId} settled successfully` } };
+  }
+  return { status: 400, body: { message: `Failed to settle market ${marketId}` } };
+}));
+
+// Admin: settlement cron state
+app.get("/api/admin/settlement", adminService.requireRole("read-only"), async (req, res) => {
   try {
-    const { marketId } = req.params;
-    
-    console.log(`Manual settlement requested for market ${marketId}`);
-    const success = await settlementService.manualSettle(parseInt(marketId));
-    
-    if (success) {
-      res.json({ message: `Market ${marketId} settled successfully` });
-    } else {
-      res.status(400).json({ message: `Failed to settle market ${marketId}` });
+    const { chainId, settlementService } = req.deployment;
+    res.json({
+      chainId,
+      paused: await settlementService.isPaused(),
+      running: settlementService.isRunning,
+      queue: await settlementService.getQueue().getJobCounts()
+    });
+  } catch (error) {
+    logger.error("Error fetching settlement state", { error });
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Admin: markets whose settlement ran out of attempts
+app.get("/api/admin/settlement/dead-letters", adminService.requireRole("read-only"), async (req, res) => {
+  try {
+    const includeResolved = req.query.includeResolved === "true";
+    res.json(await req.deployment.settlementService.getDeadLetters({ includeResolved }));
+  } catch (error) {
+    logger.error("Error fetching dead letters", { error });
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Admin: every settlement attempt for a market, newest first
+app.get("/api/admin/settlement/attempts/:marketId", adminService.requireRole("read-only"), async (req, res) => {
+  try {
+    res.json(await req.deployment.settlementService.getAttempts(parseInt(req.params.marketId)));
+  } catch (error) {
+    logger.error("Error fetching settlement attempts", { error });
+    res.status(500).json({ message: error.message });
+  }
+});
+
+app.post("/api/admin/settlement/pause", adminService.requireRole("operator"), adminService.audited("settlement-pause", async (req) => {
+  await req.deployment.settlementService.pause();
+  return { body: { message: "Auto-settlement paused", paused: true } };
+}));
+
+app.post("/api/admin/settlement/resume", adminService.requireRole("operator"), adminService.audited("settlement-resume", async (req) => {
+  await req.deployment.settlementService.resume();
+  return { body: { message: "Auto-settlement resumed", paused: false } };
+}));
+
+// Admin: re-queue settlement for { marketIds: [...] }, or every dead letter / ended market still unsettled
+app.post("/api/admin/settlement/retry", adminService.requireRole("operator"), adminService.audited("settlement-retry", async (req) => {
+  const { marketIds } = req.body;
+
+  if (marketIds !== undefined && (!Array.isArray(marketIds) || !marketIds.every(Number.isInteger))) {
+    return { status: 400, body: { message: "marketIds must be an array of market ids" } };
+  }
+
+  const results = await req.deployment.settlementService.retryFailedSettlements(marketIds);
+  return { body: { results } };
+}));
+
+// Admin: moderation queue of reported or flagged memes awaiting review
+app.get("/api/admin/moderation/queue", adminService.requireRole("operator"), async (req, res) => {
+  try {
+    res.json(await moderationService.getQueue({ ...req.query, chainId: req.deployment.chainId }));
+  } catch (error) {
+    if (error instanceof ModerationService.ModerationError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    logger.error("Error fetching moderation queue", { error });
+    res.status(500).json({ message: error.message });
+  }
+});
+
+app.get("/api/admin/memes/:memeId/reports", adminService.requireRole("operator"), async (req, res) => {
+  try {
+    res.json(await moderationService.getReports(req.params.memeId, req.deployment.chainId));
+  } catch (error) {
+    if (error instanceof ModerationService.ModerationError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    logger.error("Error fetching meme reports", { error });
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Admin: moderation decision, { status: "approved" | "hidden" | "removed", note }
+app.post("/api/admin/memes/:memeId/moderate", adminService.requireRole("operator"), adminService.audited("meme-moderate", async (req) => {
+  return await moderateMeme(req, req.body.status);
+}));
+
+// Shorthands kept for existing tooling
+app.post("/api/admin/memes/:memeId/hide", adminService.requireRole("operator"), adminService.audited("meme-hide", async (req) => {
+  return await moderateMeme(req, "hidden");
+}));
+
+app.post("/api/admin/memes/:memeId/unhide", adminService.requireRole("operator"), adminService.audited("meme-unhide", async (req) => {
+  return await moderateMeme(req, "approved");
+}));
+
+async function moderateMeme(req, status) {
+  try {
+    const meme = await moderationService.moderate(req.params.memeId, req.deployment.chainId, status, req.admin.actor, req.body.note);
+    return { body: meme };
+  } catch (error) {
+    if (error instanceof ModerationService.ModerationError) {
+      return { status: error.status, body: { message: error.message } };
     }
+    throw error;
+  }
+}
+
+// Admin: gas sponsorship policy for the selected chain
+app.get("/api/admin/sponsorship/policy", adminService.requireRole("read-only"), async (req, res) => {
+  try {
+    const { sponsorshipService } = req.deployment;
+    res.json(sponsorshipService.formatPolicy(await sponsorshipService.getPolicy()));
   } catch (error) {
-    console.error("Manual settlement error:", error);
-    res.status(500).json({ message: "Settlement failed", error: error.message });
+    logger.error("Error fetching sponsorship policy", { error });
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Admin: change { enabled, addressDailyVotes, marketBudgetEth, dailyBudgetEth }
+app.put("/api/admin/sponsorship/policy", adminService.requireRole("admin"), adminService.audited("sponsorship-policy", async (req) => {
+  try {
+    return { body: await req.deployment.sponsorshipService.updatePolicy(req.body, req.admin.actor) };
+  } catch (error) {
+    if (error instanceof SponsorshipService.SponsorshipError) {
+      return { status: error.status, body: { message: error.message } };
+    }
+    throw error;
+  }
+}));
+
+// Admin: sponsored cost per user or market, e.g. ?groupBy=market&since=2024-01-01
+app.get("/api/admin/sponsorship/report", adminService.requireRole("read-only"), async (req, res) => {
+  try {
+    res.json(await req.deployment.sponsorshipService.getReport(req.query));
+  } catch (error) {
+    if (error instanceof SponsorshipService.SponsorshipError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    logger.error("Error fetching sponsorship report", { error });
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Admin: vote status counts and reconciliation reports, e.g. ?unresolvedOnly=true
+app.get("/api/admin/reconciliation", adminService.requireRole("read-only"), async (req, res) => {
+  try {
+    const { reconciliationService } = req.deployment;
+    const [votes, reports] = await Promise.all([
+      reconciliationService.getVoteSummary(),
+      reconciliationService.getReports(req.query)
+    ]);
+    res.json({ chainId: req.deployment.chainId, votes, ...reports });
+  } catch (error) {
+    logger.error("Error fetching reconciliation reports", { error });
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Admin: run reconciliation now instead of waiting for the schedule
+app.post("/api/admin/reconciliation/run", adminService.requireRole("operator"), adminService.audited("reconcile", async (req) => {
+  const report = await req.deployment.reconciliationService.run("manual");
+  if (!report) {
+    return { status: 409, body: { message: "Reconciliation is already running" } };
+  }
+  return { body: report };
+}));
+
+// Admin: webhook subscriptions, { name, url, events: ["market.settled", ...], chainIds }
+app.get("/api/admin/webhooks", adminService.requireRole("operator"), async (req, res) => {
+  try {
+    res.json({ events: WebhookService.EVENTS, subscriptions: await webhookService.listSubscriptions() });
+  } catch (error) {
+    logger.error("Error listing webhooks", { error });
+    res.status(500).json({ message: error.message });
+  }
+});
+
+app.post("/api/admin/webhooks", adminService.requireRole("operator"), adminService.audited("webhook-create", async (req) => {
+  return await webhookAction(async () => ({
+    status: 201,
+    body: await webhookService.createSubscription(req.body, req.admin.actor)
+  }));
+}, { redact: ["secret"] }));
+
+// Admin: change a subscription, { rotateSecret: true } issues a new signing secret
+app.patch("/api/admin/webhooks/:id", adminService.requireRole("operator"), adminService.audited("webhook-update", async (req) => {
+  return await webhookAction(async () => ({ body: await webhookService.updateSubscription(req.params.id, req.body) }));
+}, { redact: ["secret"] }));
+
+app.delete("/api/admin/webhooks/:id", adminService.requireRole("operator"), adminService.audited("webhook-delete", async (req) => {
+  return await webhookAction(async () => ({ body: await webhookService.deleteSubscription(req.params.id) }));
+}));
+
+// Admin: delivery log of a subscription, e.g. ?status=failed
+app.get("/api/admin/webhooks/:id/deliveries", adminService.requireRole("operator"), async (req, res) => {
+  try {
+    res.json(await webhookService.listDeliveries(req.params.id, req.query));
+  } catch (error) {
+    if (error instanceof WebhookService.WebhookError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    logger.error("Error listing webhook deliveries", { error });
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Admin: send a logged delivery again
+app.post("/api/admin/webhooks/deliveries/:deliveryId/replay", adminService.requireRole("operator"), adminService.audited("webhook-replay", async (req) => {
+  return await webhookAction(async () => ({ status: 202, body: await webhookService.replay(req.params.deliveryId) }));
+}));
+
+async function webhookAction(action) {
+  try {
+    return await action();
+  } catch (error) {
+    if (error instanceof WebhookService.WebhookError) {
+      return { status: error.status, body: { message: error.message } };
+    }
+    throw error;
+  }
+}
+
+// Admin: audit log, newest first, e.g. /api/admin/audit?action=settlement-pause&chainId=4801
+app.get("/api/admin/audit", adminService.requireRole("read-only"), async (req, res) => {
+  try {
+    const { actor, action, chainId, page, limit } = req.query;
+    res.json(await adminService.listAuditLog({ actor, action, chainId, page, limit }));
+  } catch (error) {
+    logger.error("Error fetching audit log", { error });
+    res.status(500).json({ message: error.message });
   }
 });
 
@@ -196,159 +663,600 @@ app.post("/api/manual-settle/:marketId", async (req, res) => {
 app.get("/api/settlement-status/:marketId", async (req, res) => {
   try {
     const { marketId } = req.params;
-    const status = await settlementService.getSettlementStatus(parseInt(marketId));
+    const status = await req.deployment.settlementService.getSettlementStatus(parseInt(marketId));
     
     res.json(status);
   } catch (error) {
-    console.error("Error getting settlement status:", error);
+    logger.error("Error getting settlement status", { error });
     res.status(500).json({ message: error.message });
   }
 });
 
 // Existing Routes (keeping all the original functionality)
 
+// EIP-712 domain, types and current nonce the user needs to sign a relayed action
+app.get("/api/relay/signing-data", requireSession, async (req, res) => {
+  try {
+    res.json(await req.deployment.metaTxService.getSigningData(req.session.address));
+  } catch (error) {
+    logger.error("Error fetching signing data", { error });
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // Relay Transaction Route
-app.post("/api/relay", async (req, res) => {
-  const { userAddress, marketId, voteYes } = req.body;
+app.post("/api/relay", requireSession, async (req, res) => {
+  const { marketId, voteYes, nonce, deadline, signature } = req.body;
+  const userAddress = req.session.address;
+  const { chainId, contract, contractCache, metaTxService, relayerPool, sponsorshipService } = req.deployment;
 
-  if (!userAddress || marketId === undefined || voteYes === undefined) {
+  if (marketId === undefined || voteYes === undefined) {
     return res.status(400).json({ message: "Missing required parameters" });
   }
 
   try {
-    const contract = new Contract(contractAddress, contractABI, relayerWallet);
-    const voteCost = parseEther("0.0001");
-
-    const gasLimit = await contract.vote.estimateGas(
-      userAddress,
+    // The user must have signed this exact vote
+    await metaTxService.authorize("Vote", {
+      voter: userAddress,
       marketId,
       voteYes,
-      { value: voteCost }
-    );
+      nonce,
+      deadline
+    }, signature, userAddress);
+
+    const voteCost = await contractCache.voteCost();
 
-    const txResponse = await contract.vote(userAddress, marketId, voteYes, {
+    // Within the sponsorship limits, the pool estimates gas first so a reverting
+    // vote is rejected before it is queued
+    const job = await sponsorshipService.sponsor({
+      address: userAddress,
+      action: "vote",
+      marketId,
+      value: voteCost
+    }, () => relayerPool.submitCall(contract, "vote", [userAddress, marketId, voteYes], {
       value: voteCost,
-      gasLimit: gasLimit,
-    });
+      meta: { userAddress, marketId }
+    }));
 
-    console.log("Vote transaction sent:", txResponse.hash);
+    logger.info("Vote transaction queued", { chainId: req.deployment.chainId, jobId: job.jobId, marketId });
 
-    // Record the vote in database
+    // Record the vote in database, the hash is filled in once the job is sent and
+    // the vote is confirmed or reverted once it is mined. A reverted earlier vote is replaced.
+    await UserVote.deleteOne({ chainId, userAddress, marketId, status: "reverted" });
     const userVote = new UserVote({
+      chainId,
       userAddress,
       marketId,
       vote: voteYes ? 'funny' : 'lame',
-      transactionHash: txResponse.hash
+      relayJobId: job.jobId
     });
     await userVote.save();
 
-    res.json({
-      message: "Vote relayed successfully",
-      transactionHash: txResponse.hash
+    res.status(202).json({
+      message: "Vote queued for relay",
+      jobId: job.jobId,
+      status: job.status
     });
   } catch (error) {
-    console.error("Error relaying vote:", error);
+    if (error instanceof SponsorshipService.SponsorshipError) {
+      return sendSponsorshipError(res, error);
+    }
+    if (error instanceof RelayerPool.RelayerPoolError || error instanceof MetaTxService.MetaTxError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    logger.error("Error relaying vote", { error });
     res.status(500).json({ message: "Failed to relay vote", error: error.message });
   }
 });
 
-app.post("/api/memes", async (req, res) => {
+// Over-limit sponsorship requests: 429 with Retry-After when the limit frees up
+function sendSponsorshipError(res, error) {
+  if (error.retryAfter) {
+    res.set("Retry-After", String(error.retryAfter));
+  }
+  return res.status(error.status).json({
+    message: error.message,
+    limit: error.limit,
+    retryAfter: error.retryAfter
+  });
+}
+
+// Sponsored votes and spend left for the signed-in address today
+app.get("/api/sponsorship/usage", requireSession, async (req, res) => {
   try {
-    const meme = new Meme(req.body);
-    await meme.save();
-    res.status(201).json(meme);
+    res.json(await req.deployment.sponsorshipService.getUsage(req.session.address));
   } catch (error) {
-    res.status(400).json({ message: error.message });
+    logger.error("Error fetching sponsorship usage", { error });
+    res.status(500).json({ message: error.message });
   }
 });
 
-app.post("/api/meme", async (req, res) => {
-  const { address, cid, templateId } = req.body;
+// Create a market through the relayer
+app.post("/api/markets", requireSession, async (req, res) => {
+  const { metadata, nonce, deadline, signature } = req.body;
+  const address = req.session.address;
+  const { metaTxService, marketService, sponsorshipService } = req.deployment;
 
-  if (!address || cid === undefined) {
+  if (metadata === undefined) {
     return res.status(400).json({ message: "Missing required parameters" });
   }
 
   try {
-    const contract = new Contract(contractAddress, contractABI, relayerWallet);
+    const encoded = typeof metadata === "string" ? metadata : JSON.stringify(metadata);
 
-    const gasLimit = await contract.createMeme.estimateGas(
-      address,
-      cid,
-      templateId
+    // The user must have signed this exact metadata. The relayer becomes the on-chain creator
+    // and receives the creator reward, the user is credited as requestedBy
+    await metaTxService.authorize("CreateMarket", {
+      creator: address,
+      metadata: encoded,
+      nonce,
+      deadline
+    }, signature, address);
+
+    const job = await sponsorshipService.sponsor({ address, action: "createMarket" }, () =>
+      marketService.createMarket(encoded, address)
     );
 
-    const txResponse = await contract.createMeme(address, cid, templateId, {
-      gasLimit: gasLimit,
+    logger.info("Market creation transaction queued", { chainId: req.deployment.chainId, jobId: job.jobId });
+
+    res.status(202).json({
+      message: "Market creation queued",
+      jobId: job.jobId,
+      status: job.status
+    });
+  } catch (error) {
+    if (error instanceof SponsorshipService.SponsorshipError) {
+      return sendSponsorshipError(res, error);
+    }
+    if (error instanceof RelayerPool.RelayerPoolError || error instanceof MetaTxService.MetaTxError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    logger.error("Error creating market", { error });
+    res.status(500).json({ message: "Failed to create market", error: error.message });
+  }
+});
+
+// List markets, e.g. /api/markets?status=active&creator=0x...&page=1&limit=20
+app.get("/api/markets", async (req, res) => {
+  try {
+    const { status, creator, page, limit } = req.query;
+
+    if (status && !["active", "ended", "settled"].includes(status)) {
+      return res.status(400).json({ message: "status must be active, ended or settled" });
+    }
+
+    const result = await req.deployment.marketService.listMarkets({
+      status,
+      creator: creator && ethers.isAddress(creator) ? ethers.getAddress(creator) : creator,
+      page,
+      limit
     });
 
-    console.log("Meme creation transaction sent:", txResponse.hash);
+    res.json(result);
+  } catch (error) {
+    logger.error("Error listing markets", { error });
+    res.status(500).json({ message: error.message });
+  }
+});
+
+app.get("/api/markets/:marketId", async (req, res) => {
+  try {
+    const marketId = parseInt(req.params.marketId);
 
-    res.json({
-      message: "Meme created successfully",
-      transactionHash: txResponse.hash
+    const { marketService } = req.deployment;
+    if (!(await marketService.marketExists(marketId))) {
+      return res.status(404).json({ message: "Market not found" });
+    }
+
+    res.json(await marketService.getMarket(marketId));
+  } catch (error) {
+    logger.error("Error fetching market", { error });
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Raw meme insert, restricted to operators and to known fields
+app.post("/api/memes", adminService.requireRole("operator"), adminService.audited("meme-create", async (req) => {
+  const { cid, isTemplate, memeTemplate, attestationHash, creator } = req.body;
+
+  try {
+    memeService.validateCid(cid);
+    const meme = new Meme({ chainId: req.deployment.chainId, cid, isTemplate, memeTemplate, attestationHash, creator });
+    await meme.save();
+
+    memeService.screenMeme(meme).catch((error) => logger.warn("Could not screen meme", { memeId: meme._id, error: error.message }));
+    webhookService.dispatch("meme.created", {
+      memeId: meme._id,
+      cid: meme.cid,
+      templateId: meme.memeTemplate,
+      isTemplate: meme.isTemplate,
+      creator: meme.creator
+    }, { chainId: meme.chainId });
+    return { status: 201, body: meme };
+  } catch (error) {
+    return { status: 400, body: { message: error.message } };
+  }
+}));
+
+app.post("/api/meme", requireSession, async (req, res) => {
+  const { cid, templateId, nonce, deadline, signature } = req.body;
+  const address = req.session.address;
+  const { contract, metaTxService, relayerPool, sponsorshipService } = req.deployment;
+
+  if (cid === undefined || templateId === undefined) {
+    return res.status(400).json({ message: "Missing required parameters" });
+  }
+
+  try {
+    memeService.validateCid(cid);
+
+    // The user must have signed this exact meme
+    await metaTxService.authorize("CreateMeme", {
+      creator: address,
+      cid,
+      templateId,
+      nonce,
+      deadline
+    }, signature, address);
+
+    const job = await sponsorshipService.sponsor({ address, action: "createMeme" }, () =>
+      relayerPool.submitCall(contract, "createMeme", [address, cid, templateId], {
+        meta: { address, cid, templateId }
+      })
+    );
+
+    logger.info("Meme creation transaction queued", { chainId: req.deployment.chainId, jobId: job.jobId });
+
+    res.status(202).json({
+      message: "Meme creation queued",
+      jobId: job.jobId,
+      status: job.status
     });
   } catch (error) {
-    console.error("Error creating meme:", error);
+    if (error instanceof SponsorshipService.SponsorshipError) {
+      return sendSponsorshipError(res, error);
+    }
+    if (error instanceof RelayerPool.RelayerPoolError || error instanceof MetaTxService.MetaTxError ||
+        error instanceof MemeService.MemeError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    logger.error("Error creating meme", { error });
     res.status(500).json({ message: "Failed to create meme", error: error.message });
   }
 });
 
+// Newest memes first: /api/memes?page=1&limit=20
 app.get("/api/memes", async (req, res) => {
   try {
-    const memes = await Meme.find().sort({ createdAt: -1 });
-    res.json(memes);
+    res.json(await memeService.listMemes({
+      ...req.query,
+      chainId: req.deployment.chainId,
+      includeHidden: await adminService.isModerator(req)
+    }));
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
+// Memes entered with a template, newest first: /api/memes/:templateId?page=1&limit=20
 app.get("/api/memes/:templateId", async (req, res) => {
   try {
     const { templateId } = req.params;
-    const memes = await Meme.find({ memeTemplate: templateId });
+    const result = await memeService.listByTemplate(templateId, {
+      ...req.query,
+      chainId: req.deployment.chainId,
+      includeHidden: await adminService.isModerator(req)
+    });
 
-    if (memes.length === 0) {
+    if (result.total === 0) {
       return res.status(404).json({ message: "No memes found for this template" });
     }
 
-    res.json(memes);
+    res.json(result);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
-app.get("/api/faucet/:address", async (req, res) => {
+// Meme feed: /api/feed?sort=newest|top|trending&limit=20&cursor=<nextCursor>
+app.get("/api/feed", async (req, res) => {
   try {
-    const gas = await GasModel.findOne({ address: req.params.address });
+    const { sort, cursor, limit } = req.query;
+    res.json(await feedService.getFeed({
+      chainId: req.deployment.chainId,
+      sort,
+      cursor,
+      limit,
+      includeHidden: await adminService.isModerator(req)
+    }));
+  } catch (error) {
+    if (error instanceof FeedService.FeedError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    logger.error("Error fetching feed", { error });
+    res.status(500).json({ message: error.message });
+  }
+});
 
-    if (!gas) {
-      const tx = await relayerWallet.sendTransaction({
-        to: req.params.address,
-        value: parseEther("0.1"),
-      });
+// Same feed without memes in markets the signed-in address already voted on
+app.get("/api/feed/for-you", requireSession, async (req, res) => {
+  try {
+    const { sort, cursor, limit } = req.query;
+    res.json(await feedService.getFeed({
+      chainId: req.deployment.chainId,
+      sort,
+      cursor,
+      limit,
+      address: req.session.address
+    }));
+  } catch (error) {
+    if (error instanceof FeedService.FeedError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    logger.error("Error fetching feed", { error });
+    res.status(500).json({ message: error.message });
+  }
+});
 
-      await tx.wait();
+// Report a meme: { reason: "offensive" | "spam" | "copyright" | "illegal" | "other", details }
+app.post("/api/memes/:memeId/report", requireSession, async (req, res) => {
+  const { reason, details } = req.body;
 
-      const sentGas = new GasModel({
-        address: req.params.address,
-      });
+  try {
+    const result = await moderationService.report(req.params.memeId, req.deployment.chainId, req.session.address, { reason, details });
+    res.status(201).json(result);
+  } catch (error) {
+    if (error instanceof ModerationService.ModerationError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    logger.error("Error reporting meme", { error });
+    res.status(500).json({ message: error.message });
+  }
+});
 
-      await sentGas.save();
-      return res.status(200).json({ message: "Sent tokens" });
+// Templates catalog, most used first: /api/templates?page=1&limit=20
+app.get("/api/templates", async (req, res) => {
+  try {
+    const includeHidden = await adminService.isModerator(req);
+    res.json(await memeService.listTemplates({ ...req.query, chainId: req.deployment.chainId, includeHidden }));
+  } catch (error) {
+    logger.error("Error listing templates", { error });
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// One template with a page of the memes derived from it
+app.get("/api/templates/:templateId", async (req, res) => {
+  try {
+    const includeHidden = await adminService.isModerator(req);
+    res.json(await memeService.getTemplate(req.params.templateId, {
+      ...req.query,
+      chainId: req.deployment.chainId,
+      includeHidden
+    }));
+  } catch (error) {
+    if (error instanceof MemeService.MemeError) {
+      return res.status(error.status).json({ message: error.message });
     }
+    logger.error("Error fetching template", { error });
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// IPFS metadata (mime type, dimensions, caption) for a cid, cached after the first fetch
+app.get("/api/content/:cid", async (req, res) => {
+  try {
+    res.json(await memeService.getContent(req.params.cid));
+  } catch (error) {
+    if (error instanceof MemeService.MemeError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    logger.error("Error fetching meme content", { error });
+    res.status(502).json({ message: "Failed to fetch IPFS metadata", error: error.message });
+  }
+});
+
+// Testnet faucet: verified, rate limited and budgeted drips from the relayer pool
+app.post("/api/faucet", faucetLimiter.middleware(), async (req, res) => {
+  const { address, proof } = req.body;
+  const { chain, faucetService } = req.deployment;
+
+  if (!faucetService) {
+    return res.status(404).json({ message: `No faucet on ${chain.name}, it is only available on testnets` });
+  }
+  if (!address || !ethers.isAddress(address)) {
+    return res.status(400).json({ message: "A valid address is required" });
+  }
+
+  try {
+    const grant = await faucetService.requestDrip({
+      address: ethers.getAddress(address),
+      ip: req.ip,
+      proof
+    });
 
-    res.status(200).json({ message: "Already given some testnet tokens" });
+    res.status(202).json({
+      message: "Faucet drip queued",
+      jobId: grant.jobId,
+      amount: ethers.formatEther(grant.amount)
+    });
   } catch (error) {
-    console.log(error);
+    if (error.retryAfter) {
+      res.set("Retry-After", String(error.retryAfter));
+    }
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, retryAfter: error.retryAfter });
+    }
+    logger.error("Faucet error", { error });
     res.status(500).json({ message: error.message });
   }
 });
 
+// Poll the status of a relayed transaction
+app.get("/api/jobs/:jobId", async (req, res) => {
+  try {
+    // Job ids are unique across chains, so no chain parameter is needed here
+    const job = await RelayJob.findOne({ jobId: req.params.jobId });
+
+    if (!job) {
+      return res.status(404).json({ message: "Job not found" });
+    }
+
+    res.json({
+      jobId: job.jobId,
+      chainId: job.chainId,
+      action: job.action,
+      status: job.status,
+      transactionHash: job.txHash,
+      replacements: job.replacements,
+      blockNumber: job.blockNumber,
+      error: job.error,
+      createdAt: job.createdAt,
+      sentAt: job.sentAt,
+      minedAt: job.minedAt
+    });
+  } catch (error) {
+    logger.error("Error fetching job", { error });
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Balance, pending count and last error of every relayer wallet
+app.get("/api/relayers", async (req, res) => {
+  try {
+    res.json(req.deployment.relayerPool.getStatus());
+  } catch (error) {
+    logger.error("Error fetching relayer status", { error });
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Live updates: /api/stream?chain=4801&market=1&market=2&address=0x...
+app.get("/api/stream", (req, res) => {
+  try {
+    const subscription = eventStream.parseSubscription(req.query, req.deployment.chainId);
+    eventStream.subscribe(req, res, subscription);
+  } catch (error) {
+    if (error instanceof EventStreamService.StreamError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    logger.error("Error opening stream", { error });
+    res.status(500).json({ message: error.message });
+  }
+});
+
+for (const { chainId, relayerPool, settlementService, marketService } of deployments.values()) {
+  // Keep relayed votes in step with their transactions
+  relayerPool.on("sent", async (job) => {
+    if (job.action !== "vote") return;
+    try {
+      await UserVote.updateOne({ chainId, relayJobId: job.jobId }, { transactionHash: job.txHash });
+    } catch (error) {
+      logger.error("Error updating relayed vote", { error });
+    }
+  });
+
+  // Feed the stream from relay jobs
+  for (const status of ["queued", "sent", "mined", "failed"]) {
+    relayerPool.on(status, (job) => {
+      const meta = job.meta || {};
+      eventStream.publish("relay-job", {
+        jobId: job.jobId,
+        action: job.action,
+        status: job.status,
+        transactionHash: job.txHash,
+        error: job.error
+      }, {
+        chainId,
+        marketId: meta.marketId,
+        addresses: [meta.userAddress, meta.address, meta.requestedBy]
+      });
+    });
+  }
+
+  // Push the new tally once a relayed vote is mined
+  relayerPool.on("mined", async (job) => {
+    if (job.action !== "vote") return;
+    try {
+      const { marketId, userAddress } = job.meta;
+      const status = await settlementService.getSettlementStatus(Number(marketId));
+
+      const vote = {
+        marketId: Number(marketId),
+        voter: userAddress,
+        yesVotes: status.yesVotes,
+        noVotes: status.noVotes,
+        timeLeft: status.timeLeft,
+        transactionHash: job.txHash
+      };
+
+      eventStream.publish("vote", vote, { chainId, marketId, addresses: [userAddress] });
+      webhookService.dispatch("market.voted", vote, { chainId });
+    } catch (error) {
+      logger.error("Error publishing vote tally", { error });
+    }
+  });
+
+  // Feed the stream from the settlement service
+  settlementService.on("market-ending", (data) => {
+    eventStream.publish("market-ending", data, { chainId, marketId: data.marketId });
+  });
+
+  settlementService.on("market-ended", (data) => {
+    eventStream.publish("market-ended", data, { chainId, marketId: data.marketId });
+    webhookService.dispatch("market.ended", data, { chainId });
+  });
+
+  settlementService.on("settled", ({ marketId, txHash, record }) => {
+    const participants = record ? record.participants : [];
+    const settlement = {
+      marketId,
+      transactionHash: txHash,
+      winnerSide: record ? record.winnerSide : undefined,
+      yesVotes: record ? record.yesVotes : undefined,
+      noVotes: record ? record.noVotes : undefined,
+      creatorReward: record ? record.creatorReward : undefined
+    };
+
+    eventStream.publish("settlement-completed", settlement, {
+      chainId,
+      marketId,
+      addresses: [
+        record ? record.templateCreator : undefined,
+        record ? record.requestedBy : undefined,
+        ...participants.map(p => p.address)
+      ]
+    });
+    webhookService.dispatch("market.settled", settlement, { chainId });
+  });
+
+  // Webhooks for relayed markets and memes once they are on-chain
+  marketService.on("market-created", (market) => {
+    webhookService.dispatch("market.created", market, { chainId });
+  });
+
+  relayerPool.on("mined", (job) => {
+    if (job.action !== "createMeme") return;
+    const { address, cid, templateId } = job.meta;
+    webhookService.dispatch("meme.created", {
+      cid,
+      templateId: String(templateId),
+      isTemplate: false,
+      creator: address,
+      transactionHash: job.txHash
+    }, { chainId });
+  });
+}
+
 // Start server
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`⚡ Auto-Settlement Service active`);
-  console.log(`🔗 Contract: ${contractAddress}`);
-});
\ No newline at end of file
+  logger.info("Server running", {
+    port: Number(PORT),
+    chains: [...deployments.values()].map(({ chain }) => ({
+      name: chain.name,
+      chainId: chain.chainId,
+      contractAddress: chain.contractAddress
+    }))
+  });
+});
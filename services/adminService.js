@@ -0,0 +1,167 @@
+// server/services/adminService.js
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { AuditLog } = require('../models/AuditLog');
+const { logger } = require('./logger');
+
+const log = logger.child({ service: 'admin' });
+
+// Higher roles include everything the lower ones may do
+const ROLES = ['read-only', 'operator', 'admin'];
+
+class AdminService {
+    constructor(authService) {
+        this.authService = authService;
+        this.apiKeys = this.parseApiKeys(process.env.ADMIN_API_KEYS || '');
+        this.wallets = this.parseWallets(process.env.ADMIN_ADDRESSES || '');
+    }
+
+    // ADMIN_API_KEYS=name:role:key,... (only the key hash is kept in memory)
+    parseApiKeys(value) {
+        return value.split(',').filter(Boolean).map((entry) => {
+            const [name, role, key] = entry.trim().split(':');
+            if (!name || !ROLES.includes(role) || !key) {
+                throw new Error(`Invalid ADMIN_API_KEYS entry for "${name}"`);
+            }
+            return { name, role, hash: this.hashKey(key) };
+        });
+    }
+
+    // ADMIN_ADDRESSES=0xabc...:admin,0xdef...:operator
+    parseWallets(value) {
+        const wallets = new Map();
+        for (const entry of value.split(',').filter(Boolean)) {
+            const [address, role] = entry.trim().split(':');
+            if (!ethers.isAddress(address) || !ROLES.includes(role)) {
+                throw new Error(`Invalid ADMIN_ADDRESSES entry "${entry}"`);
+            }
+            wallets.set(ethers.getAddress(address), role);
+        }
+        return wallets;
+    }
+
+    hashKey(key) {
+        return crypto.createHash('sha256').update(key).digest();
+    }
+
+    // Resolve the caller from an X-API-Key header or an admin wallet's SIWE session
+    async authenticate(req) {
+        const apiKey = req.get('X-API-Key');
+        if (apiKey) {
+            const hash = this.hashKey(apiKey);
+            const match = this.apiKeys.find(key => crypto.timingSafeEqual(key.hash, hash));
+            return match ? { actor: match.name, actorType: 'api-key', role: match.role } : null;
+        }
+
+        const session = await this.authService.getSession(this.authService.extractToken(req));
+        if (session && this.wallets.has(session.address)) {
+            return { actor: session.address, actorType: 'wallet', role: this.wallets.get(session.address) };
+        }
+
+        return null;
+    }
+
+    hasRole(role, required) {
+        return ROLES.indexOf(role) >= ROLES.indexOf(required);
+    }
+
+    // Moderators (operator and up) also see hidden content on public read endpoints
+    async isModerator(req) {
+        const admin = await this.authenticate(req);
+        return Boolean(admin && this.hasRole(admin.role, 'operator'));
+    }
+
+    // Express middleware: only lets through callers holding at least the given role
+    requireRole(required) {
+        return async (req, res, next) => {
+            try {
+                const admin = await this.authenticate(req);
+                if (!admin) {
+                    return res.status(401).json({ message: "Admin authentication required" });
+                }
+                if (!this.hasRole(admin.role, required)) {
+                    return res.status(403).json({ message: `Requires ${required} role` });
+                }
+
+                req.admin = admin;
+                next();
+            } catch (error) {
+                next(error);
+            }
+        };
+    }
+
+    // Wrap an admin action so its outcome is always written to the audit log.
+    // The handler returns { status, body }; throwing records a failure.
+    // Fields named in `redact` (e.g. secrets) are kept out of the logged response.
+    audited(action, handler, { redact = [] } = {}) {
+        return async (req, res) => {
+            const params = { ...req.params, ...req.body };
+            let status = 200;
+            let body;
+            let error;
+
+            try {
+                ({ status = 200, body } = await handler(req));
+            } catch (err) {
+                error = err;
+                status = 500;
+                body = { message: `${action} failed`, error: err.message };
+            }
+
+            try {
+                await AuditLog.create({
+                    ...req.admin,
+                    action,
+                    chainId: req.deployment ? req.deployment.chainId : undefined,
+                    params,
+                    result: !error && status < 400 ? 'success' : 'failure',
+                    response: this.redact(body, redact),
+                    error: error ? error.message : undefined,
+                    ip: req.ip
+                });
+            } catch (auditError) {
+                log.error('Failed to write audit log', { action, error: auditError });
+            }
+
+            if (error) {
+                log.error('Admin action failed', { action, actor: req.admin.actor, error });
+            }
+            res.status(status).json(body);
+        };
+    }
+
+    redact(body, fields) {
+        if (!body || typeof body !== 'object' || fields.length === 0) {
+            return body;
+        }
+        const copy = { ...(typeof body.toObject === 'function' ? body.toObject() : body) };
+        for (const field of fields) {
+            if (copy[field] !== undefined) copy[field] = '[redacted]';
+        }
+        return copy;
+    }
+
+    async listAuditLog({ actor, action, chainId, page = 1, limit = 50 }) {
+        const pageSize = Math.min(Math.max(Number(limit) || 50, 1), 200);
+        const pageNumber = Math.max(Number(page) || 1, 1);
+        const filter = {};
+        if (actor) filter.actor = actor;
+        if (action) filter.action = action;
+        if (chainId !== undefined && chainId !== '') filter.chainId = Number(chainId);
+
+        const [total, entries] = await Promise.all([
+            AuditLog.countDocuments(filter),
+            AuditLog.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((pageNumber - 1) * pageSize)
+                .limit(pageSize)
+        ]);
+
+        return { entries, page: pageNumber, limit: pageSize, total };
+    }
+}
+
+AdminService.ROLES = ROLES;
+
+module.exports = AdminService;
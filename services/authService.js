@@ -0,0 +1,225 @@
+// server/services/authService.js
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { AuthNonce, Session } = require('../models/Auth');
+
+const NONCE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+class AuthError extends Error {
+    constructor(message, status = 401) {
+        super(message);
+        this.name = 'AuthError';
+        this.status = status;
+    }
+}
+
+class AuthService {
+    constructor() {
+        // Host (and port) of the site users sign in to, e.g. app.viralforge.xyz
+        this.domain = process.env.SIWE_DOMAIN || null;
+        this.nonceTtlMs = Number(process.env.NONCE_TTL_MS) || NONCE_TTL_MS;
+        this.sessionTtlMs = Number(process.env.SESSION_TTL_MS) || SESSION_TTL_MS;
+    }
+
+    // Create and store a single-use nonce
+    async issueNonce() {
+        // Hex output keeps the nonce alphanumeric as required by EIP-4361 and MiniKit
+        const nonce = crypto.randomBytes(16).toString('hex');
+        const expiresAt = new Date(Date.now() + this.nonceTtlMs);
+
+        await AuthNonce.create({ nonce, expiresAt });
+        return { nonce, expiresAt };
+    }
+
+    // Parse an EIP-4361 message into its fields
+    parseSiweMessage(message) {
+        if (typeof message !== 'string') {
+            throw new AuthError('SIWE message must be a string', 400);
+        }
+
+        const lines = message.split('\n');
+        const header = lines[0].match(/^(\S+) wants you to sign in with your Ethereum account:$/);
+        if (!header || !lines[1]) {
+            throw new AuthError('Malformed SIWE message', 400);
+        }
+
+        const fields = {
+            domain: header[1],
+            address: lines[1].trim(),
+            statement: null,
+            resources: []
+        };
+
+        const keys = {
+            'URI': 'uri',
+            'Version': 'version',
+            'Chain ID': 'chainId',
+            'Nonce': 'nonce',
+            'Issued At': 'issuedAt',
+            'Expiration Time': 'expirationTime',
+            'Not Before': 'notBefore',
+            'Request ID': 'requestId'
+        };
+
+        let inResources = false;
+        for (let i = 2; i < lines.length; i++) {
+            const line = lines[i];
+            if (inResources && line.startsWith('- ')) {
+                fields.resources.push(line.slice(2));
+                continue;
+            }
+            if (line === 'Resources:') {
+                inResources = true;
+                continue;
+            }
+
+            const separator = line.indexOf(': ');
+            const key = separator === -1 ? null : keys[line.slice(0, separator)];
+            if (key) {
+                fields[key] = line.slice(separator + 2);
+            } else if (line && fields.statement === null && !fields.uri) {
+                fields.statement = line;
+            }
+        }
+
+        if (!fields.uri || !fields.version || !fields.chainId || !fields.nonce || !fields.issuedAt) {
+            throw new AuthError('SIWE message is missing required fields', 400);
+        }
+        if (fields.version !== '1') {
+            throw new AuthError(`Unsupported SIWE version ${fields.version}`, 400);
+        }
+        if (!ethers.isAddress(fields.address)) {
+            throw new AuthError('SIWE message contains an invalid address', 400);
+        }
+
+        fields.address = ethers.getAddress(fields.address);
+        fields.chainId = Number(fields.chainId);
+        return fields;
+    }
+
+    // Verify a signed SIWE message for this site and chain and open a session for its signer.
+    // Domain, URI and chain id are always checked, otherwise a message signed for another
+    // site with one of our nonces would log the user in here.
+    async verifySignIn(message, signature, chainId) {
+        if (!message || !signature) {
+            throw new AuthError('Missing message or signature', 400);
+        }
+        if (!this.domain) {
+            throw new AuthError('SIWE_DOMAIN is not configured', 500);
+        }
+
+        const fields = this.parseSiweMessage(message);
+        const now = new Date();
+
+        if (fields.domain !== this.domain) {
+            throw new AuthError(`Unexpected SIWE domain ${fields.domain}`);
+        }
+        let uriHost;
+        try {
+            uriHost = new URL(fields.uri).host;
+        } catch (error) {
+            throw new AuthError('SIWE message contains an invalid URI', 400);
+        }
+        if (uriHost !== this.domain) {
+            throw new AuthError(`Unexpected SIWE URI ${fields.uri}`);
+        }
+        if (fields.chainId !== chainId) {
+            throw new AuthError(`SIWE message is for chain ${fields.chainId}, expected ${chainId}`);
+        }
+        if (fields.expirationTime && new Date(fields.expirationTime) <= now) {
+            throw new AuthError('SIWE message has expired');
+        }
+        if (fields.notBefore && new Date(fields.notBefore) > now) {
+            throw new AuthError('SIWE message is not valid yet');
+        }
+
+        let signer;
+        try {
+            signer = ethers.verifyMessage(message, signature);
+        } catch (error) {
+            throw new AuthError('Invalid signature');
+        }
+        if (signer !== fields.address) {
+            throw new AuthError('Signature does not match SIWE address');
+        }
+
+        // Consume the nonce atomically so a signed message can only be used once
+        const consumed = await AuthNonce.findOneAndUpdate(
+            { nonce: fields.nonce, usedAt: null, expiresAt: { $gt: now } },
+            { usedAt: now }
+        );
+        if (!consumed) {
+            throw new AuthError('Nonce is unknown, expired or already used');
+        }
+
+        return await this.createSession(fields.address, fields.chainId);
+    }
+
+    async createSession(address, chainId) {
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(Date.now() + this.sessionTtlMs);
+
+        await Session.create({
+            tokenHash: this.hashToken(token),
+            address,
+            chainId,
+            expiresAt
+        });
+
+        return { token, address, expiresAt };
+    }
+
+    async getSession(token) {
+        if (!token) {
+            return null;
+        }
+
+        return await Session.findOne({
+            tokenHash: this.hashToken(token),
+            expiresAt: { $gt: new Date() }
+        });
+    }
+
+    async revokeSession(token) {
+        await Session.deleteOne({ tokenHash: this.hashToken(token) });
+    }
+
+    hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    // Read the bearer token from the Authorization header
+    extractToken(req) {
+        const header = req.headers.authorization || '';
+        const [scheme, token] = header.split(' ');
+        return scheme === 'Bearer' && token ? token : null;
+    }
+
+    // Express middleware: rejects the request unless it carries a valid session
+    requireSession() {
+        return async (req, res, next) => {
+            try {
+                const session = await this.getSession(this.extractToken(req));
+                if (!session) {
+                    return res.status(401).json({ message: "Authentication required" });
+                }
+                // A session signs in on one chain and only acts on that chain's deployment
+                if (req.deployment && session.chainId !== req.deployment.chainId) {
+                    return res.status(401).json({
+                        message: `Session is for chain ${session.chainId}, sign in on chain ${req.deployment.chainId}`
+                    });
+                }
+
+                req.session = session;
+                next();
+            } catch (error) {
+                next(error);
+            }
+        };
+    }
+}
+
+AuthService.AuthError = AuthError;
+
+module.exports = AuthService;
@@ -0,0 +1,145 @@
+// server/services/cacheStore.js
+const { createClient } = require('redis');
+const { logger } = require('./logger');
+
+const log = logger.child({ service: 'cache' });
+
+const MAX_MEMORY_ENTRIES = 10000;
+
+// In-process cache, used on its own when Redis is unreachable
+class MemoryStore {
+    constructor(maxEntries = MAX_MEMORY_ENTRIES) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map(); // key -> { value, expiresAt }
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+        return entry.value;
+    }
+
+    set(key, value, ttlMs = null) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, expiresAt: ttlMs ? Date.now() + ttlMs : null });
+
+        // Maps keep insertion order, so the first key is the oldest write
+        if (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    del(key) {
+        this.entries.delete(key);
+    }
+
+    incr(key) {
+        const value = String(Number(this.get(key) || 0) + 1);
+        this.set(key, value);
+        return Number(value);
+    }
+}
+
+// String cache shared by every instance through Redis, falling back to memory
+// whenever Redis is down so reads never wait on it
+class CacheStore {
+    constructor(redisUrl = process.env.REDIS_URL || 'redis://127.0.0.1:6379') {
+        this.redisUrl = redisUrl;
+        this.memory = new MemoryStore();
+        this.client = null;
+    }
+
+    static getDefault() {
+        if (!CacheStore.instance) {
+            CacheStore.instance = new CacheStore();
+        }
+        return CacheStore.instance;
+    }
+
+    // Connected client, or null while Redis is unavailable
+    getClient() {
+        if (!this.client) {
+            this.client = createClient({ url: this.redisUrl, disableOfflineQueue: true });
+            this.client.on('error', (error) => {
+                if (!this.redisDown) {
+                    log.warn('Redis cache unavailable, using in-memory cache', { error: error.message });
+                }
+                this.redisDown = true;
+            });
+            this.client.on('ready', () => {
+                this.redisDown = false;
+            });
+            this.client.connect().catch(() => {});
+        }
+        return this.client.isReady ? this.client : null;
+    }
+
+    async get(key) {
+        const client = this.getClient();
+        if (client) {
+            try {
+                return await client.get(key);
+            } catch (error) {
+                // Fall through to memory
+            }
+        }
+        return this.memory.get(key);
+    }
+
+    // ttlMs null keeps the entry until it is deleted
+    async set(key, value, ttlMs = null) {
+        this.memory.set(key, value, ttlMs);
+
+        const client = this.getClient();
+        if (client) {
+            try {
+                await client.set(key, value, ttlMs ? { PX: ttlMs } : undefined);
+            } catch (error) {
+                // Memory copy is enough until Redis is back
+            }
+        }
+    }
+
+    async del(key) {
+        this.memory.del(key);
+
+        const client = this.getClient();
+        if (client) {
+            try {
+                await client.del(key);
+            } catch (error) {
+                // Memory copy is already gone
+            }
+        }
+    }
+
+    async close() {
+        if (this.client) {
+            const client = this.client;
+            this.client = null;
+            // disconnect, not quit: quit waits for a Redis that may be unreachable
+            await client.disconnect().catch(() => {});
+        }
+    }
+
+    // Counter shared by every instance (per process while Redis is down)
+    async incr(key) {
+        const client = this.getClient();
+        if (client) {
+            try {
+                const value = await client.incr(key);
+                this.memory.set(key, String(value));
+                return value;
+            } catch (error) {
+                // Count in memory instead
+            }
+        }
+        return this.memory.incr(key);
+    }
+}
+
+module.exports = { CacheStore, MemoryStore };
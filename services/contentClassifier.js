@@ -0,0 +1,67 @@
+// server/services/contentClassifier.js
+
+// Posts the meme's cid and IPFS metadata to an external moderation API,
+// which answers with { flagged, label, score }
+class HttpClassifier {
+    constructor() {
+        this.url = process.env.MODERATION_CLASSIFIER_URL;
+        this.apiKey = process.env.MODERATION_CLASSIFIER_KEY;
+        this.timeoutMs = Number(process.env.MODERATION_CLASSIFIER_TIMEOUT_MS) || 10 * 1000;
+
+        if (!this.url) {
+            throw new Error('MODERATION_CLASSIFIER_URL is required for the http classifier');
+        }
+    }
+
+    async classify({ cid, content }) {
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+            },
+            body: JSON.stringify({ cid, content }),
+            signal: AbortSignal.timeout(this.timeoutMs)
+        });
+
+        if (!response.ok) {
+            throw new Error(`Classifier returned ${response.status}`);
+        }
+
+        const { flagged = false, label = null, score = null } = await response.json();
+        return { flagged: Boolean(flagged), label, score };
+    }
+}
+
+// Local stand-in: flags captions containing a MODERATION_BLOCKLIST term
+class StubClassifier {
+    constructor() {
+        this.terms = (process.env.MODERATION_BLOCKLIST || '')
+            .split(',')
+            .map(term => term.trim().toLowerCase())
+            .filter(Boolean);
+    }
+
+    async classify({ content }) {
+        const caption = ((content && content.caption) || '').toLowerCase();
+        const term = this.terms.find(t => caption.includes(t));
+
+        return term
+            ? { flagged: true, label: 'blocklist', score: 1 }
+            : { flagged: false, label: null, score: 0 };
+    }
+}
+
+// Classifier selected by MODERATION_CLASSIFIER: "http" or "stub" (default)
+function createClassifier(name = process.env.MODERATION_CLASSIFIER || 'stub') {
+    switch (name) {
+        case 'http':
+            return new HttpClassifier();
+        case 'stub':
+            return new StubClassifier();
+        default:
+            throw new Error(`Unknown classifier: ${name}`);
+    }
+}
+
+module.exports = { createClassifier, HttpClassifier, StubClassifier };
@@ -0,0 +1,130 @@
+// server/services/contractCache.js
+const { CacheStore } = require('./cacheStore');
+const { logger } = require('./logger');
+
+// Read-through cache for one deployment's hot contract reads. Settled markets
+// never change so they are kept until invalidated, active ones for a few seconds.
+// Reads that decide settlement go to the contract directly.
+// Entries are stored under a version that invalidation bumps, so a load that was
+// in flight when its key was invalidated (on any instance) can't bring the old value back.
+class ContractCache {
+    constructor(deployment, store = CacheStore.getDefault()) {
+        this.chainId = deployment.chainId;
+        this.contract = deployment.contract;
+        this.relayers = deployment.relayerPool;
+        this.store = store;
+        this.log = logger.child({ service: 'contractCache', chainId: deployment.chainId });
+        this.prefix = `contract:${this.chainId}:${deployment.chain.contractAddress.toLowerCase()}`;
+        this.activeMarketTtlMs = Number(process.env.CACHE_ACTIVE_MARKET_TTL_MS) || 5 * 1000;
+        this.marketCountTtlMs = Number(process.env.CACHE_MARKET_COUNT_TTL_MS) || 10 * 1000;
+        this.configTtlMs = Number(process.env.CACHE_CONFIG_TTL_MS) || 10 * 60 * 1000;
+        this.loading = new Map(); // key -> in-flight read, so concurrent misses share one RPC call
+
+        this.trackJobs();
+    }
+
+    // Drop entries once a relayed transaction that changes them is mined
+    trackJobs() {
+        this.relayers.on('mined', async (job) => {
+            try {
+                if (job.action === 'vote' || job.action === 'releaseRewards') {
+                    await this.invalidateMarket(job.meta.marketId);
+                } else if (job.action === 'createMarket') {
+                    await this.invalidate(`${this.prefix}:marketCount`);
+                }
+            } catch (error) {
+                this.log.error('Failed to invalidate cache', { jobId: job.jobId, error });
+            }
+        });
+    }
+
+    async version(key) {
+        return (await this.store.get(`${key}:version`)) || '0';
+    }
+
+    async read(key, load, encode, decode, ttlFor) {
+        const version = await this.version(key);
+        const entryKey = `${key}:v${version}`;
+
+        const cached = await this.store.get(entryKey);
+        if (cached !== null) {
+            return decode(JSON.parse(cached));
+        }
+
+        if (!this.loading.has(entryKey)) {
+            const pending = (async () => {
+                const value = encode(await load());
+                // Invalidated while loading: hand the value to the waiting callers only
+                if (await this.version(key) === version) {
+                    await this.store.set(entryKey, JSON.stringify(value), ttlFor(value));
+                }
+                return value;
+            })().finally(() => this.loading.delete(entryKey));
+            this.loading.set(entryKey, pending);
+        }
+        return decode(await this.loading.get(entryKey));
+    }
+
+    // Drop the current entry and move readers to a new version
+    async invalidate(key) {
+        const version = await this.version(key);
+        await this.store.incr(`${key}:version`);
+        await this.store.del(`${key}:v${version}`);
+    }
+
+    // Same tuple as contract.getMarket(marketId):
+    // [creator, endTime, yesVotes, noVotes, totalStaked, isActive, metadata, memes]
+    async getMarket(marketId) {
+        return await this.read(
+            `${this.prefix}:market:${Number(marketId)}`,
+            () => this.contract.getMarket(marketId),
+            ([creator, endTime, yesVotes, noVotes, totalStaked, isActive, metadata, memes]) => ({
+                creator,
+                endTime: endTime.toString(),
+                yesVotes: yesVotes.toString(),
+                noVotes: noVotes.toString(),
+                totalStaked: totalStaked.toString(),
+                isActive,
+                metadata,
+                memes: memes.map(meme => ({
+                    creator: meme.creator,
+                    cid: meme.cid,
+                    memeTemplate: meme.memeTemplate.toString()
+                }))
+            }),
+            (market) => [
+                market.creator,
+                BigInt(market.endTime),
+                BigInt(market.yesVotes),
+                BigInt(market.noVotes),
+                BigInt(market.totalStaked),
+                market.isActive,
+                market.metadata,
+                market.memes.map(meme => ({ ...meme, memeTemplate: BigInt(meme.memeTemplate) }))
+            ],
+            (market) => market.isActive ? this.activeMarketTtlMs : null
+        );
+    }
+
+    async marketCount() {
+        return await this.readBigInt('marketCount', () => this.contract.marketCount(), this.marketCountTtlMs);
+    }
+
+    async voteCost() {
+        return await this.readBigInt('voteCost', () => this.contract.voteCost(), this.configTtlMs);
+    }
+
+    async creatorRewardPercentage() {
+        return await this.readBigInt('creatorRewardPercentage', () => this.contract.creatorRewardPercentage(), this.configTtlMs);
+    }
+
+    async readBigInt(name, load, ttlMs) {
+        return await this.read(`${this.prefix}:${name}`, load, value => value.toString(), BigInt, () => ttlMs);
+    }
+
+    async invalidateMarket(marketId) {
+        await this.invalidate(`${this.prefix}:market:${Number(marketId)}`);
+    }
+}
+
+module.exports = ContractCache;
@@ -0,0 +1,62 @@
+// server/services/deployment.js
+const { ethers, Contract } = require('ethers');
+const RelayerPool = require('./relayerPool');
+const AutoSettlementService = require('./settlementService');
+const EventIndexer = require('./indexerService');
+const MetaTxService = require('./metaTxService');
+const MarketService = require('./marketService');
+const FaucetService = require('./faucetService');
+const SponsorshipService = require('./sponsorshipService');
+const ReconciliationService = require('./reconciliationService');
+const ContractCache = require('./contractCache');
+const { instrumentProvider, observeRelayerPool } = require('./metrics');
+const { logger } = require('./logger');
+const CONTRACT = require('../FunnyOrFud.json');
+
+// Everything that talks to one chain's FunnyOrFud contract: provider, relayers,
+// cached reads, settlement, indexing, relayed actions, their gas sponsorship and, on testnets, the faucet
+class Deployment {
+    constructor(chain, memeService) {
+        this.chain = chain;
+        this.chainId = chain.chainId;
+        this.log = logger.child({ service: 'deployment', chainId: chain.chainId });
+        // The chain id comes from config, so ethers never has to detect the network
+        this.provider = instrumentProvider(
+            new ethers.JsonRpcProvider(chain.rpcUrl, chain.chainId, { staticNetwork: true }),
+            chain.chainId
+        );
+        this.contract = new Contract(chain.contractAddress, CONTRACT.abi, this.provider);
+
+        this.relayerPool = RelayerPool.forChain(chain, this.provider);
+        observeRelayerPool(this.relayerPool);
+        this.contractCache = new ContractCache(this);
+        this.settlementService = new AutoSettlementService(this);
+        this.eventIndexer = new EventIndexer(this, memeService);
+        this.metaTxService = new MetaTxService(this.provider, chain.contractAddress, chain.chainId);
+        this.marketService = new MarketService(this.relayerPool, chain.contractAddress, this.contractCache);
+        this.faucetService = chain.testnet ? new FaucetService(this.relayerPool) : null;
+        this.sponsorshipService = new SponsorshipService(this.relayerPool);
+        this.reconciliationService = new ReconciliationService(this);
+    }
+
+    start() {
+        this.log.info('Starting deployment', { chain: this.chain.name, contract: this.chain.contractAddress });
+
+        this.relayerPool.start().catch((error) => this.log.error('Relayer pool failed to start', { error }));
+        this.settlementService.start();
+        this.eventIndexer.start();
+        this.reconciliationService.start();
+    }
+
+    // Close this deployment's Redis and Bull connections so a script using it can exit.
+    // The contract cache store is shared by every deployment and closed separately.
+    async close() {
+        await Promise.all([
+            this.relayerPool.close(),
+            this.settlementService.close(),
+            this.reconciliationService.lock.close()
+        ]);
+    }
+}
+
+module.exports = Deployment;
@@ -0,0 +1,100 @@
+// server/services/eventStream.js
+const { ethers } = require('ethers');
+
+const KEEPALIVE_MS = 25 * 1000;
+const MAX_SUBSCRIPTIONS = 50;
+
+class StreamError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'StreamError';
+        this.status = status;
+    }
+}
+
+// Server-Sent Events hub: clients subscribe to markets and/or addresses on one chain
+class EventStreamService {
+    constructor() {
+        this.clients = new Set();
+        this.nextEventId = 1;
+    }
+
+    // Normalise ?market=1&market=2&address=0x.. into subscription sets
+    parseSubscription(query, chainId) {
+        const list = (value) => value === undefined ? [] : [].concat(value).flatMap(v => String(v).split(','));
+
+        const markets = list(query.market).map(Number);
+        const addresses = list(query.address);
+
+        if (markets.length + addresses.length === 0) {
+            throw new StreamError('Subscribe to at least one market or address');
+        }
+        if (markets.length + addresses.length > MAX_SUBSCRIPTIONS) {
+            throw new StreamError(`At most ${MAX_SUBSCRIPTIONS} subscriptions per stream`);
+        }
+        if (markets.some(id => !Number.isInteger(id) || id < 0)) {
+            throw new StreamError('Invalid market id');
+        }
+        if (addresses.some(address => !ethers.isAddress(address))) {
+            throw new StreamError('Invalid address');
+        }
+
+        return {
+            chainId,
+            markets: new Set(markets),
+            addresses: new Set(addresses.map(address => ethers.getAddress(address)))
+        };
+    }
+
+    // Attach an open response as a subscriber until the client disconnects
+    subscribe(req, res, subscription) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+
+        const client = { res, ...subscription };
+        this.clients.add(client);
+
+        this.write(client, 'subscribed', {
+            chainId: subscription.chainId,
+            markets: [...subscription.markets],
+            addresses: [...subscription.addresses]
+        });
+
+        const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_MS);
+
+        req.on('close', () => {
+            clearInterval(keepalive);
+            this.clients.delete(client);
+        });
+    }
+
+    write(client, type, data) {
+        client.res.write(`id: ${this.nextEventId++}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    // Push an event to every client on its chain subscribed to its market or one of its addresses
+    publish(type, data, { chainId, marketId, addresses = [] } = {}) {
+        const targets = addresses.filter(Boolean);
+
+        for (const client of this.clients) {
+            if (client.chainId !== chainId) {
+                continue;
+            }
+
+            const wantsMarket = marketId !== undefined && client.markets.has(Number(marketId));
+            const wantsAddress = targets.some(address => client.addresses.has(address));
+
+            if (wantsMarket || wantsAddress) {
+                this.write(client, type, { chainId, ...data });
+            }
+        }
+    }
+}
+
+EventStreamService.StreamError = StreamError;
+
+module.exports = EventStreamService;
@@ -0,0 +1,254 @@
+// server/services/exportService.js
+const { ethers } = require('ethers');
+const { SettlementRecord, UserVote } = require('../models/Settlement');
+
+const FORMATS = ['csv', 'json'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const COLUMNS = [
+    'chainId', 'marketId', 'vote', 'voteStatus', 'votedAt', 'outcome', 'winnerSide',
+    'stakeWei', 'stakeEth', 'payoutWei', 'payoutEth', 'netWei', 'netEth',
+    'voteTx', 'settlementTx', 'settledAt'
+];
+
+const SUMMARY_COLUMNS = [
+    'votes', 'settled', 'open', 'wins', 'losses', 'ties',
+    'totalStakedWei', 'totalStakedEth', 'totalPayoutWei', 'totalPayoutEth',
+    'netWei', 'netEth', 'openStakeWei', 'openStakeEth'
+];
+
+class ExportError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ExportError';
+        this.status = status;
+    }
+}
+
+// Quote a CSV field when it contains a separator, quote or line break
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const csvLine = (values) => values.map(csvField).join(',') + '\n';
+
+// Per-address staking history: every vote joined with its market's settlement,
+// streamed row by row and closed with profit-and-loss totals
+class ExportService {
+    // { format, from, to } from the query string, dates as ISO strings or unix milliseconds.
+    // Both ends are inclusive and a date-only to (2024-12-31) covers that whole UTC day
+    parseOptions({ format = 'csv', from, to }) {
+        if (!FORMATS.includes(format)) {
+            throw new ExportError(`format must be one of: ${FORMATS.join(', ')}`);
+        }
+
+        const parseDate = (value, name) => {
+            if (value === undefined) return null;
+            const date = new Date(/^\d+$/.test(value) ? Number(value) : value);
+            if (Number.isNaN(date.getTime())) {
+                throw new ExportError(`${name} must be a date`);
+            }
+            return date;
+        };
+        const range = { from: parseDate(from, 'from'), to: parseDate(to, 'to') };
+        if (range.to && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+            range.to = new Date(range.to.getTime() + DAY_MS - 1);
+        }
+        if (range.from && range.to && range.from > range.to) {
+            throw new ExportError('from must be before to');
+        }
+
+        return { format, ...range };
+    }
+
+    // Cursor over the address's votes (reverted ones never staked) with the settlement of each market
+    activityCursor({ chainId, address, from, to }) {
+        const match = { chainId, userAddress: address, status: { $ne: 'reverted' } };
+        if (from || to) {
+            match.votedAt = {};
+            if (from) match.votedAt.$gte = from;
+            if (to) match.votedAt.$lte = to;
+        }
+
+        return UserVote.aggregate([
+            { $match: match },
+            { $sort: { votedAt: 1, _id: 1 } },
+            {
+                $lookup: {
+                    from: SettlementRecord.collection.name,
+                    let: { chainId: '$chainId', marketId: '$marketId', address: '$userAddress' },
+                    pipeline: [
+                        { $match: { $expr: { $and: [{ $eq: ['$chainId', '$$chainId'] }, { $eq: ['$marketId', '$$marketId'] }] } } },
+                        {
+                            $project: {
+                                _id: 0,
+                                winnerSide: 1,
+                                settlementTx: 1,
+                                settledAt: 1,
+                                participant: {
+                                    $first: {
+                                        $filter: { input: '$participants', cond: { $eq: ['$$this.address', '$$address'] } }
+                                    }
+                                }
+                            }
+                        }
+                    ],
+                    as: 'settlement'
+                }
+            },
+            { $addFields: { settlement: { $first: '$settlement' } } }
+        ]).cursor({ batchSize: 200 });
+    }
+
+    // One export row; stake and payout come from the settlement's participant entry when present
+    toRow(vote) {
+        const settlement = vote.settlement;
+        const row = {
+            chainId: vote.chainId,
+            marketId: vote.marketId,
+            vote: vote.vote,
+            voteStatus: vote.status,
+            votedAt: vote.votedAt,
+            outcome: 'open',
+            winnerSide: null,
+            stake: BigInt(vote.stakeAmount),
+            payout: null,
+            net: null,
+            voteTx: vote.transactionHash || null,
+            settlementTx: null,
+            settledAt: null
+        };
+
+        if (settlement) {
+            const participant = settlement.participant;
+            row.outcome = settlement.winnerSide === 'tie'
+                ? 'tie'
+                : (participant ? participant.won : vote.vote === settlement.winnerSide) ? 'won' : 'lost';
+            row.winnerSide = settlement.winnerSide;
+            row.stake = participant ? BigInt(participant.staked) : row.stake;
+            row.payout = participant ? BigInt(participant.payout) : 0n;
+            row.net = row.payout - row.stake;
+            row.settlementTx = settlement.settlementTx;
+            row.settledAt = settlement.settledAt;
+        }
+
+        return row;
+    }
+
+    formatRow(row) {
+        const wei = (value) => value === null ? null : value.toString();
+        const eth = (value) => value === null ? null : ethers.formatEther(value);
+
+        return {
+            chainId: row.chainId,
+            marketId: row.marketId,
+            vote: row.vote,
+            voteStatus: row.voteStatus,
+            votedAt: row.votedAt ? row.votedAt.toISOString() : null,
+            outcome: row.outcome,
+            winnerSide: row.winnerSide,
+            stakeWei: wei(row.stake),
+            stakeEth: eth(row.stake),
+            payoutWei: wei(row.payout),
+            payoutEth: eth(row.payout),
+            netWei: wei(row.net),
+            netEth: eth(row.net),
+            voteTx: row.voteTx,
+            settlementTx: row.settlementTx,
+            settledAt: row.settledAt ? row.settledAt.toISOString() : null
+        };
+    }
+
+    // Net result only counts settled markets, stake on open ones is reported separately
+    summarize(totals) {
+        return {
+            votes: totals.votes,
+            settled: totals.settled,
+            open: totals.votes - totals.settled,
+            wins: totals.wins,
+            losses: totals.losses,
+            ties: totals.ties,
+            totalStakedWei: totals.staked.toString(),
+            totalStakedEth: ethers.formatEther(totals.staked),
+            totalPayoutWei: totals.payout.toString(),
+            totalPayoutEth: ethers.formatEther(totals.payout),
+            netWei: totals.net.toString(),
+            netEth: ethers.formatEther(totals.net),
+            openStakeWei: totals.openStake.toString(),
+            openStakeEth: ethers.formatEther(totals.openStake)
+        };
+    }
+
+    // Write the export to a response (or any writable), waiting for it to drain so
+    // long histories are never held in memory. Stops early if the client goes away.
+    async writeActivity(out, { chainId, address, format, from, to }) {
+        const write = async (chunk) => {
+            if (!out.write(chunk)) {
+                await new Promise((resolve) => {
+                    const done = () => {
+                        out.off('drain', done);
+                        out.off('close', done);
+                        resolve();
+                    };
+                    out.on('drain', done);
+                    out.on('close', done);
+                });
+            }
+        };
+
+        const totals = { votes: 0, settled: 0, wins: 0, losses: 0, ties: 0, staked: 0n, payout: 0n, net: 0n, openStake: 0n };
+
+        if (format === 'csv') {
+            await write(csvLine(COLUMNS));
+        } else {
+            // Written by hand so rows can be streamed into the array
+            await write(`{"chainId":${chainId},"address":${JSON.stringify(address)},` +
+                `"from":${JSON.stringify(from)},"to":${JSON.stringify(to)},"rows":[`);
+        }
+
+        const cursor = this.activityCursor({ chainId, address, from, to });
+        try {
+            for await (const vote of cursor) {
+                if (out.destroyed) {
+                    return;
+                }
+
+                const row = this.toRow(vote);
+                totals.votes += 1;
+                totals.staked += row.stake;
+                if (row.outcome === 'open') {
+                    totals.openStake += row.stake;
+                } else {
+                    totals.settled += 1;
+                    totals.payout += row.payout;
+                    totals.net += row.net;
+                    totals[{ won: 'wins', lost: 'losses', tie: 'ties' }[row.outcome]] += 1;
+                }
+
+                const formatted = this.formatRow(row);
+                if (format === 'csv') {
+                    await write(csvLine(COLUMNS.map(column => formatted[column])));
+                } else {
+                    await write(`${totals.votes > 1 ? ',' : ''}${JSON.stringify(formatted)}`);
+                }
+            }
+        } finally {
+            await cursor.close();
+        }
+
+        const summary = this.summarize(totals);
+        if (format === 'csv') {
+            // Totals follow the rows as a second table after a blank line
+            await write('\n' + csvLine(SUMMARY_COLUMNS) + csvLine(SUMMARY_COLUMNS.map(column => summary[column])));
+        } else {
+            await write(`],"summary":${JSON.stringify(summary)}}`);
+        }
+        out.end();
+    }
+}
+
+ExportService.FORMATS = FORMATS;
+ExportService.ExportError = ExportError;
+
+module.exports = ExportService;
@@ -0,0 +1,226 @@
+// server/services/faucetService.js
+const { ethers } = require('ethers');
+const { FaucetGrant } = require('../models/Faucet');
+const { createVerifier } = require('./humanityVerifier');
+const { faucetGrants } = require('./metrics');
+const usage = require('./usageCounter');
+const { logger } = require('./logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+class FaucetError extends Error {
+    constructor(message, status = 429, retryAfter = null) {
+        super(message);
+        this.name = 'FaucetError';
+        this.status = status;
+        this.retryAfter = retryAfter;
+    }
+}
+
+class FaucetService {
+    constructor(relayerPool, verifier = createVerifier()) {
+        this.relayers = relayerPool;
+        this.chainId = relayerPool.chainId;
+        this.verifier = verifier;
+        this.log = logger.child({ service: 'faucet', chainId: relayerPool.chainId });
+        this.dripAmount = ethers.parseEther(process.env.FAUCET_DRIP_ETH || '0.1');
+        this.cooldownMs = Number(process.env.FAUCET_COOLDOWN_MS) || 24 * HOUR_MS;
+        this.ipMaxGrants = Number(process.env.FAUCET_IP_MAX_GRANTS) || 3;
+        this.ipWindowMs = Number(process.env.FAUCET_IP_WINDOW_MS) || 24 * HOUR_MS;
+        this.dailyBudget = ethers.parseEther(process.env.FAUCET_DAILY_BUDGET_ETH || '5');
+
+        this.trackJobs();
+    }
+
+    // Mirror relay job progress onto the grant log
+    trackJobs() {
+        const update = (fields) => async (job) => {
+            if (job.action !== 'faucet') return;
+            try {
+                await FaucetGrant.updateOne({ chainId: this.chainId, jobId: job.jobId }, fields(job));
+            } catch (error) {
+                this.log.error('Failed to update faucet grant', { jobId: job.jobId, error });
+            }
+        };
+
+        this.relayers.on('sent', update(job => ({ status: 'sent', transactionHash: job.txHash })));
+        this.relayers.on('mined', update(job => ({ status: 'mined', transactionHash: job.txHash })));
+
+        // A drip that never landed gives its cooldown, IP and budget reservations back
+        this.relayers.on('failed', async (job) => {
+            if (job.action !== 'faucet') return;
+            try {
+                // Only the first failure for a grant counts, so the counters are released once
+                const grant = await FaucetGrant.findOneAndUpdate(
+                    { chainId: this.chainId, jobId: job.jobId, status: { $ne: 'failed' } },
+                    { status: 'failed', error: job.error }
+                );
+                if (grant) {
+                    await this.releaseLimits(this.grantReservations(grant));
+                }
+            } catch (error) {
+                this.log.error('Failed to update faucet grant', { jobId: job.jobId, error });
+            }
+        });
+
+        for (const outcome of ['mined', 'failed']) {
+            this.relayers.on(outcome, (job) => {
+                if (job.action === 'faucet') faucetGrants.inc({ chain_id: this.chainId, outcome });
+            });
+        }
+    }
+
+    // Grants on this chain that still count against limits
+    activeGrants(filter, since) {
+        return { ...filter, chainId: this.chainId, status: { $ne: 'failed' }, createdAt: { $gt: since } };
+    }
+
+    // Cooldown per address and per human, grants per IP window and the daily budget,
+    // each taken with an atomic counter so concurrent requests cannot all pass.
+    // Resolves with the reservations, to be released if the drip is never sent.
+    async reserveLimits({ address, ip, nullifierHash }) {
+        const now = Date.now();
+        const prefix = `faucet:${this.chainId}`;
+        const ipWindow = usage.window(this.ipWindowMs, now);
+        const day = usage.window(DAY_MS, now);
+
+        const cooldown = (filter) => async () => {
+            const recent = await FaucetGrant.findOne(this.activeGrants(filter, new Date(now - this.cooldownMs)))
+                .sort({ createdAt: -1 });
+            return recent ? { count: 1, expiresAt: new Date(recent.createdAt.getTime() + this.cooldownMs) } : {};
+        };
+
+        const limits = [
+            {
+                key: `${prefix}:address:${address}`,
+                reservation: { count: 1, maxCount: 1, expiresAt: new Date(now + this.cooldownMs), seed: cooldown({ address }) },
+                error: 'Address is in its faucet cooldown window',
+                cooldown: true
+            },
+            {
+                key: `${prefix}:human:${nullifierHash}`,
+                reservation: { count: 1, maxCount: 1, expiresAt: new Date(now + this.cooldownMs), seed: cooldown({ nullifierHash }) },
+                error: 'Address is in its faucet cooldown window',
+                cooldown: true
+            },
+            {
+                key: `${prefix}:ip:${ip}:${ipWindow.start}`,
+                reservation: {
+                    count: 1,
+                    maxCount: this.ipMaxGrants,
+                    expiresAt: ipWindow.end,
+                    seed: async () => ({
+                        count: await FaucetGrant.countDocuments(this.activeGrants({ ip }, new Date(ipWindow.start)))
+                    })
+                },
+                error: 'Too many faucet grants from this IP'
+            },
+            {
+                key: `${prefix}:budget:${day.start}`,
+                reservation: {
+                    amount: this.dripAmount,
+                    maxAmount: this.dailyBudget,
+                    expiresAt: day.end,
+                    seed: async () => {
+                        const grants = await FaucetGrant.find(this.activeGrants({}, new Date(day.start))).select('amount');
+                        return { amount: grants.reduce((total, grant) => total + BigInt(grant.amount), 0n) };
+                    }
+                },
+                error: 'Faucet daily budget exhausted, try again later'
+            }
+        ];
+
+        const reserved = [];
+        try {
+            for (const limit of limits) {
+                const counter = await usage.reserve(limit.key, limit.reservation);
+                if (!counter) {
+                    let retryAfter = null;
+                    if (limit.cooldown) {
+                        const current = await usage.get(limit.key);
+                        retryAfter = current && current.expiresAt
+                            ? Math.max(Math.ceil((current.expiresAt.getTime() - now) / 1000), 1)
+                            : null;
+                    }
+                    throw new FaucetError(limit.error, 429, retryAfter);
+                }
+                reserved.push(limit);
+            }
+        } catch (error) {
+            await this.releaseLimits(reserved);
+            throw error;
+        }
+        return reserved;
+    }
+
+    // Reservations recorded on a grant, in the shape reserveLimits resolves with
+    grantReservations(grant) {
+        const reserved = (grant.limitCounters || []).map(key => ({ key, reservation: { count: 1 } }));
+        if (grant.budgetCounter) {
+            reserved.push({ key: grant.budgetCounter, reservation: { amount: BigInt(grant.amount) } });
+        }
+        return reserved;
+    }
+
+    async releaseLimits(reserved) {
+        for (const { key, reservation } of reserved) {
+            try {
+                await usage.release(key, reservation);
+            } catch (error) {
+                this.log.error('Failed to release faucet reservation', { key, error });
+            }
+        }
+    }
+
+    // Verify, rate limit and queue a drip to the address
+    async requestDrip({ address, ip, proof }) {
+        const { nullifierHash } = await this.verifier.verify({ address, proof });
+
+        let reserved;
+        try {
+            reserved = await this.reserveLimits({ address, ip, nullifierHash });
+        } catch (error) {
+            if (error instanceof FaucetError) {
+                faucetGrants.inc({ chain_id: this.chainId, outcome: 'denied' });
+            }
+            throw error;
+        }
+
+        const grant = await FaucetGrant.create({
+            chainId: this.chainId,
+            address,
+            ip,
+            nullifierHash,
+            amount: this.dripAmount.toString(),
+            limitCounters: reserved.filter(limit => limit.reservation.count).map(limit => limit.key),
+            budgetCounter: (reserved.find(limit => limit.reservation.amount) || {}).key
+        });
+
+        try {
+            const job = await this.relayers.submit({
+                action: 'faucet',
+                to: address,
+                value: this.dripAmount,
+                meta: { address }
+            });
+
+            grant.jobId = job.jobId;
+            await grant.save();
+        } catch (error) {
+            grant.status = 'failed';
+            grant.error = error.message;
+            await grant.save();
+            await this.releaseLimits(reserved);
+            throw error;
+        }
+
+        faucetGrants.inc({ chain_id: this.chainId, outcome: 'queued' });
+        this.log.info('Faucet drip queued', { address, amountEth: ethers.formatEther(this.dripAmount), jobId: grant.jobId });
+        return grant;
+    }
+}
+
+FaucetService.FaucetError = FaucetError;
+
+module.exports = FaucetService;
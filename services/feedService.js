@@ -0,0 +1,227 @@
+// server/services/feedService.js
+const cron = require('node-cron');
+const mongoose = require('mongoose');
+const { Meme } = require('../model');
+const { UserVote } = require('../models/Settlement');
+const RedisLock = require('./lockService');
+const { logger } = require('./logger');
+
+const SORTS = ['newest', 'top', 'trending'];
+// Stored field each sort pages through
+const SORT_FIELDS = { newest: 'createdAt', top: 'topScore', trending: 'trendingScore' };
+const MAX_PAGE_SIZE = 50;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+class FeedError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'FeedError';
+        this.status = status;
+    }
+}
+
+// Home screen meme feed with cursor pagination. A meme's template id is the
+// market it was entered in (createMeme appends to getMarketMemes(templateId)),
+// so its votes are that market's UserVote records. Tallies and scores are stored
+// on the memes by a scheduled refresh, so a page is one indexed query.
+class FeedService {
+    constructor(moderationService, chainIds) {
+        this.moderation = moderationService;
+        this.chainIds = chainIds;
+        this.log = logger.child({ service: 'feed' });
+        // Trending score is (funny votes + 1) / (age in hours + 2) ^ gravity
+        this.gravity = Number(process.env.FEED_TRENDING_GRAVITY) || 1.5;
+        // Only memes this recent are trending, older ones drop to a score of 0
+        this.trendingWindowMs = Number(process.env.FEED_TRENDING_WINDOW_MS) || 3 * DAY_MS;
+        this.schedule = process.env.FEED_REFRESH_CRON || '* * * * *';
+        this.lock = new RedisLock('feed');
+        this.lockTtlMs = 5 * 60 * 1000;
+        this.talliedAt = new Map(); // chainId -> start of the last tally refresh
+        this.isRunning = false;
+    }
+
+    // Refresh tallies and scores on a schedule, once across every instance
+    start() {
+        this.log.info('Starting feed scoring', { schedule: this.schedule });
+
+        const refresh = async () => {
+            if (this.isRunning) {
+                return;
+            }
+
+            this.isRunning = true;
+            const token = await this.lock.acquire('refresh', this.lockTtlMs);
+            try {
+                if (token) {
+                    for (const chainId of this.chainIds) {
+                        await this.refreshScores(chainId);
+                    }
+                }
+            } catch (error) {
+                this.log.error('Feed scoring failed', { error });
+            } finally {
+                if (token) {
+                    await this.lock.release('refresh', token);
+                }
+                this.isRunning = false;
+            }
+        };
+
+        cron.schedule(this.schedule, refresh);
+        refresh();
+    }
+
+    // Re-tally markets with votes changed since the last run and memes never tallied,
+    // then age the trending scores of recent memes
+    async refreshScores(chainId) {
+        const startedAt = new Date();
+        const since = this.talliedAt.get(chainId) || new Date(0);
+
+        const [votedMarkets, untallied] = await Promise.all([
+            UserVote.distinct('marketId', { chainId, updatedAt: { $gte: since } }),
+            Meme.distinct('memeTemplate', { chainId, scoredAt: null, isTemplate: { $ne: true } })
+        ]);
+        const templates = [...new Set([...votedMarkets.map(String), ...untallied])];
+
+        if (templates.length > 0) {
+            const tallies = await UserVote.aggregate([
+                {
+                    $match: {
+                        chainId,
+                        marketId: { $in: templates.filter(id => /^\d+$/.test(id)).map(Number) },
+                        status: { $ne: 'reverted' }
+                    }
+                },
+                {
+                    $group: {
+                        _id: '$marketId',
+                        funny: { $sum: { $cond: [{ $eq: ['$vote', 'funny'] }, 1, 0] } },
+                        lame: { $sum: { $cond: [{ $eq: ['$vote', 'lame'] }, 1, 0] } }
+                    }
+                }
+            ]);
+            const byMarket = new Map(tallies.map(tally => [String(tally._id), tally]));
+
+            await Meme.bulkWrite(templates.map((memeTemplate) => {
+                const tally = byMarket.get(memeTemplate) || { funny: 0, lame: 0 };
+                return {
+                    updateMany: {
+                        filter: { chainId, memeTemplate },
+                        update: [
+                            {
+                                $set: {
+                                    funnyVotes: tally.funny,
+                                    lameVotes: tally.lame,
+                                    totalVotes: tally.funny + tally.lame,
+                                    scoredAt: startedAt
+                                }
+                            },
+                            { $set: { topScore: this.scoreExpression('top') } }
+                        ]
+                    }
+                };
+            }), { ordered: false });
+        }
+
+        const windowStart = new Date(startedAt.getTime() - this.trendingWindowMs);
+        await Meme.updateMany(
+            { chainId, createdAt: { $gte: windowStart }, isTemplate: { $ne: true } },
+            [{ $set: { trendingScore: this.scoreExpression('trending', startedAt.getTime()) } }]
+        );
+        await Meme.updateMany(
+            { chainId, trendingScore: { $gt: 0 }, createdAt: { $lt: windowStart } },
+            { trendingScore: 0 }
+        );
+
+        this.talliedAt.set(chainId, startedAt);
+        this.log.debug('Feed scores refreshed', { chainId, markets: templates.length });
+    }
+
+    // Cursors are opaque to clients: base64url JSON of the last item's sort value and id
+    encodeCursor(cursor) {
+        return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+    }
+
+    decodeCursor(cursor, sort) {
+        let decoded;
+        try {
+            decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+        } catch (error) {
+            throw new FeedError('Invalid cursor');
+        }
+
+        if (!decoded || decoded.sort !== sort || typeof decoded.value !== 'number' ||
+            !mongoose.isValidObjectId(decoded.id)) {
+            throw new FeedError('Invalid cursor');
+        }
+        return decoded;
+    }
+
+    // { sort, cursor, limit } from the query string; address leaves out memes in markets it voted on
+    async getFeed({ chainId, sort = 'trending', cursor, limit = 20, includeHidden = false, address = null }) {
+        if (!SORTS.includes(sort)) {
+            throw new FeedError(`sort must be one of: ${SORTS.join(', ')}`);
+        }
+        const pageSize = Math.min(Math.max(Number(limit) || 20, 1), MAX_PAGE_SIZE);
+        const after = cursor ? this.decodeCursor(cursor, sort) : null;
+        const field = SORT_FIELDS[sort];
+
+        const filter = { chainId, isTemplate: { $ne: true }, ...this.moderation.visibleFilter(includeHidden) };
+        if (sort !== 'newest') {
+            // Memes wait for their first refresh (at most one schedule tick) before they are ranked
+            filter[field] = { $type: 'number' };
+        }
+        if (address) {
+            const votedMarkets = await UserVote.distinct('marketId', { chainId, userAddress: address });
+            filter.memeTemplate = { $nin: votedMarkets.map(String) };
+        }
+
+        const query = [filter];
+        if (after) {
+            const value = sort === 'newest' ? new Date(after.value) : after.value;
+            const id = new mongoose.Types.ObjectId(after.id);
+            query.push({ $or: [{ [field]: { $lt: value } }, { [field]: value, _id: { $lt: id } }] });
+        }
+
+        const memes = await Meme.find({ $and: query })
+            .sort({ [field]: -1, _id: -1 })
+            .limit(pageSize + 1)
+            .lean();
+        const hasMore = memes.length > pageSize;
+        const page = memes.slice(0, pageSize);
+
+        let nextCursor = null;
+        if (hasMore) {
+            const last = page[page.length - 1];
+            nextCursor = this.encodeCursor({
+                sort,
+                value: sort === 'newest' ? last.createdAt.getTime() : last[field],
+                id: String(last._id)
+            });
+        }
+
+        return { chainId, sort, memes: page, limit: pageSize, nextCursor };
+    }
+
+    // Update expression for a meme's score from its stored tallies
+    scoreExpression(sort, asOf) {
+        if (sort === 'top') {
+            // Funny ratio smoothed towards 50%, so one funny vote does not outrank a hundred
+            return { $divide: [{ $add: ['$funnyVotes', 1] }, { $add: ['$totalVotes', 2] }] };
+        }
+
+        const ageHours = { $max: [{ $divide: [{ $subtract: [new Date(asOf), '$createdAt'] }, HOUR_MS] }, 0] };
+        return {
+            $divide: [
+                { $add: [{ $ifNull: ['$funnyVotes', 0] }, 1] },
+                { $pow: [{ $add: [ageHours, 2] }, this.gravity] }
+            ]
+        };
+    }
+}
+
+FeedService.SORTS = SORTS;
+FeedService.FeedError = FeedError;
+
+module.exports = FeedService;
@@ -0,0 +1,182 @@
+// server/services/healthService.js
+const mongoose = require('mongoose');
+
+const RANK = { ok: 0, warn: 1, fail: 2 };
+
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function worst(statuses) {
+    return statuses.reduce((a, b) => (RANK[b] > RANK[a] ? b : a), 'ok');
+}
+
+// Liveness says the process is up; readiness says it can do its job.
+// A "fail" check makes the instance unready, a "warn" check is reported only.
+class HealthService {
+    constructor(deployments) {
+        this.deployments = deployments;
+        this.timeoutMs = Number(process.env.HEALTH_CHECK_TIMEOUT_MS) || 3000;
+        this.maxBlockAgeSeconds = Number(process.env.HEALTH_MAX_BLOCK_AGE_SECONDS) || 120;
+        this.maxIndexerLagBlocks = Number(process.env.HEALTH_MAX_INDEXER_LAG_BLOCKS) || 500;
+        // The sweep runs every 5 minutes, allow a couple of slow or skipped runs
+        this.maxSweepAgeMs = Number(process.env.HEALTH_MAX_SWEEP_AGE_MS) || 15 * 60 * 1000;
+        this.maxQueueDepth = Number(process.env.HEALTH_MAX_QUEUE_DEPTH) || 100;
+    }
+
+    liveness() {
+        return {
+            status: 'ok',
+            uptimeSeconds: Math.round(process.uptime()),
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    async readiness() {
+        const checks = { mongo: await this.run(() => this.checkMongo()), chains: {} };
+        const statuses = [checks.mongo.status];
+
+        for (const deployment of this.deployments.values()) {
+            const chainChecks = {
+                rpc: await this.run(() => this.checkRpc(deployment)),
+                relayers: await this.run(() => this.checkRelayers(deployment)),
+                settlement: await this.run(() => this.checkSettlement(deployment)),
+                queues: await this.run(() => this.checkQueues(deployment))
+            };
+            checks.chains[deployment.chain.key] = { chainId: deployment.chainId, ...chainChecks };
+            statuses.push(...Object.values(chainChecks).map(check => check.status));
+        }
+
+        return {
+            status: worst(statuses),
+            timestamp: new Date().toISOString(),
+            checks
+        };
+    }
+
+    // Every check is bounded in time and reports its own failure
+    async run(check) {
+        try {
+            return await withTimeout(check(), this.timeoutMs);
+        } catch (error) {
+            return { status: 'fail', error: error.message };
+        }
+    }
+
+    async checkMongo() {
+        if (mongoose.connection.readyState !== 1) {
+            return { status: 'fail', error: 'Not connected' };
+        }
+
+        const started = Date.now();
+        await mongoose.connection.db.admin().ping();
+        return { status: 'ok', latencyMs: Date.now() - started };
+    }
+
+    // Head block must be recent; the indexer should not fall too far behind it
+    async checkRpc({ provider, eventIndexer }) {
+        const started = Date.now();
+        const block = await provider.getBlock('latest');
+        const latencyMs = Date.now() - started;
+
+        const blockAgeSeconds = Math.floor(Date.now() / 1000) - block.timestamp;
+        const cursor = await eventIndexer.getCursor();
+        const indexerLagBlocks = block.number - cursor.blockNumber;
+
+        let status = 'ok';
+        let error;
+        if (blockAgeSeconds > this.maxBlockAgeSeconds) {
+            status = 'fail';
+            error = `Head block is ${blockAgeSeconds}s old`;
+        } else if (indexerLagBlocks > this.maxIndexerLagBlocks) {
+            status = 'warn';
+            error = `Indexer is ${indexerLagBlocks} blocks behind`;
+        }
+
+        return {
+            status,
+            error,
+            blockNumber: block.number,
+            blockAgeSeconds,
+            indexedBlock: cursor.blockNumber,
+            indexerLagBlocks,
+            latencyMs
+        };
+    }
+
+    // At least one relayer above the low-water mark
+    async checkRelayers({ relayerPool }) {
+        const relayers = relayerPool.getStatus();
+        const funded = relayers.filter(relayer => relayer.healthy && relayer.balance !== null);
+
+        let status = 'ok';
+        let error;
+        if (funded.length === 0) {
+            status = 'fail';
+            error = 'No funded relayer';
+        } else if (funded.length < relayers.length) {
+            status = 'warn';
+            error = `${relayers.length - funded.length} relayer(s) unfunded or unchecked`;
+        }
+
+        return {
+            status,
+            error,
+            funded: funded.length,
+            total: relayers.length,
+            balances: Object.fromEntries(relayers.map(relayer => [relayer.address, relayer.balance]))
+        };
+    }
+
+    // The scheduled sweep must have completed recently (or the service only just started)
+    async checkSettlement({ settlementService }) {
+        const { lastSweepAt, lastSweepError, startedAt } = settlementService;
+        const isPaused = await settlementService.isPaused();
+        const since = lastSweepAt || startedAt;
+        const ageMs = since ? Date.now() - since.getTime() : null;
+
+        let status = 'ok';
+        let error;
+        if (ageMs === null) {
+            status = 'fail';
+            error = 'Settlement service not started';
+        } else if (isPaused) {
+            status = 'warn';
+            error = 'Auto-settlement is paused';
+        } else if (ageMs > this.maxSweepAgeMs) {
+            status = 'fail';
+            error = lastSweepAt ? `Last successful sweep ${Math.round(ageMs / 1000)}s ago` : 'No successful sweep yet';
+        }
+
+        return {
+            status,
+            error,
+            paused: isPaused,
+            lastSweepAt,
+            lastSweepError
+        };
+    }
+
+    // Waiting settlement jobs and relayer transactions
+    async checkQueues({ relayerPool, settlementService }) {
+        const settlement = await settlementService.getQueue().getJobCounts();
+        const relayerCounts = await Promise.all(
+            relayerPool.relayers.map(relayer => relayer.manager.getQueue().getJobCounts())
+        );
+        const relayerWaiting = relayerCounts.reduce((total, counts) => total + counts.waiting, 0);
+        const depth = settlement.waiting + relayerWaiting;
+
+        return {
+            status: depth > this.maxQueueDepth ? 'warn' : 'ok',
+            error: depth > this.maxQueueDepth ? `${depth} jobs waiting` : undefined,
+            settlement,
+            relayerWaiting
+        };
+    }
+}
+
+module.exports = HealthService;
@@ -0,0 +1,88 @@
+// server/services/humanityVerifier.js
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+class VerificationError extends Error {
+    constructor(message, status = 403) {
+        super(message);
+        this.name = 'VerificationError';
+        this.status = status;
+    }
+}
+
+// Checks a World ID cloud proof against the Developer Portal API.
+// The proof must use the recipient address as its signal.
+class WorldIdVerifier {
+    constructor() {
+        this.appId = process.env.WORLD_ID_APP_ID;
+        this.action = process.env.WORLD_ID_ACTION || 'faucet';
+        this.apiUrl = process.env.WORLD_ID_API_URL || 'https://developer.worldcoin.org/api/v2/verify';
+
+        if (!this.appId) {
+            throw new Error('WORLD_ID_APP_ID is required for the worldid verifier');
+        }
+    }
+
+    // Same hashing as IDKit's hashToField: keccak256 shifted right by 8 bits
+    hashSignal(signal) {
+        const hash = BigInt(ethers.keccak256(ethers.toUtf8Bytes(signal))) >> 8n;
+        return '0x' + hash.toString(16).padStart(64, '0');
+    }
+
+    async verify({ address, proof }) {
+        if (!proof || !proof.proof || !proof.nullifier_hash || !proof.merkle_root) {
+            throw new VerificationError('World ID proof required', 400);
+        }
+
+        const response = await fetch(`${this.apiUrl}/${this.appId}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                nullifier_hash: proof.nullifier_hash,
+                merkle_root: proof.merkle_root,
+                proof: proof.proof,
+                verification_level: proof.verification_level || 'orb',
+                action: this.action,
+                signal_hash: this.hashSignal(address.toLowerCase())
+            })
+        });
+
+        if (!response.ok) {
+            const body = await response.json().catch(() => ({}));
+            throw new VerificationError(`World ID verification failed: ${body.detail || body.code || response.status}`);
+        }
+
+        return { nullifierHash: proof.nullifier_hash };
+    }
+}
+
+// Local stand-in: accepts every request unless the proof is literally "invalid"
+class StubVerifier {
+    async verify({ address, proof }) {
+        if (proof === 'invalid') {
+            throw new VerificationError('Stub verification rejected');
+        }
+
+        const nullifierHash = '0x' + crypto.createHash('sha256').update(address.toLowerCase()).digest('hex');
+        return { nullifierHash };
+    }
+}
+
+// The stub accepts everyone, so it is only the default in development
+function defaultVerifier(env = process.env) {
+    return env.NODE_ENV === 'development' ? 'stub' : 'worldid';
+}
+
+// Verifier selected by FAUCET_VERIFIER: "worldid" or "stub" (default in development only)
+function createVerifier(name = process.env.FAUCET_VERIFIER || defaultVerifier()) {
+    switch (name) {
+        case 'worldid':
+            return new WorldIdVerifier();
+        case 'stub':
+            return new StubVerifier();
+        default:
+            throw new Error(`Unknown verifier: ${name}`);
+    }
+}
+
+module.exports = { createVerifier, defaultVerifier, WorldIdVerifier, StubVerifier, VerificationError };
@@ -0,0 +1,265 @@
+// server/services/indexerService.js
+const cron = require('node-cron');
+const { Meme } = require('../model');
+const { Market } = require('../models/Market');
+const { SettlementRecord, UserVote } = require('../models/Settlement');
+const { IndexerCursor } = require('../models/Indexer');
+const { logger } = require('./logger');
+
+const INDEXED_EVENTS = ['MarketCreated', 'MemeCreated', 'VoteCast', 'RewardsDistributed'];
+
+// Indexes one deployment's events into the database
+class EventIndexer {
+    constructor(deployment, memeService) {
+        this.chainId = deployment.chainId;
+        this.log = logger.child({ service: 'indexer', chainId: deployment.chainId });
+        this.provider = deployment.provider;
+        this.contractAddress = deployment.chain.contractAddress;
+        this.contract = deployment.contract;
+        this.settlementService = deployment.settlementService;
+        this.memeService = memeService;
+        this.cursorName = `FunnyOrFud:${this.chainId}`;
+        this.startBlock = deployment.chain.startBlock;
+        // Only blocks this deep are indexed, shallower reorgs never reach the database
+        this.confirmations = Number(process.env.INDEXER_CONFIRMATIONS) || 5;
+        this.batchSize = Number(process.env.INDEXER_BATCH_SIZE) || 500;
+        this.topics = INDEXED_EVENTS.map(name => this.contract.interface.getEvent(name).topicHash);
+        this.isRunning = false;
+    }
+
+    // Start polling for new blocks
+    start() {
+        this.log.info('Starting event indexer');
+
+        cron.schedule('*/15 * * * * *', async () => {
+            if (this.isRunning) {
+                return;
+            }
+
+            this.isRunning = true;
+            try {
+                await this.sync();
+            } catch (error) {
+                this.log.error('Indexer error', { error });
+            } finally {
+                this.isRunning = false;
+            }
+        });
+
+        this.log.info('Event indexer started');
+    }
+
+    async getCursor() {
+        const cursor = await IndexerCursor.findOne({ name: this.cursorName });
+        if (cursor) {
+            return cursor;
+        }
+
+        return { blockNumber: this.startBlock - 1, blockHash: null };
+    }
+
+    async saveCursor(blockNumber) {
+        const block = blockNumber >= 0 ? await this.provider.getBlock(blockNumber) : null;
+
+        return await IndexerCursor.findOneAndUpdate(
+            { name: this.cursorName },
+            { blockNumber, blockHash: block ? block.hash : null },
+            { new: true, upsert: true }
+        );
+    }
+
+    // Index every confirmed block after the cursor
+    async sync() {
+        const head = await this.provider.getBlockNumber();
+        const safeHead = head - this.confirmations;
+
+        let cursor = await this.getCursor();
+        cursor = await this.handleReorg(cursor);
+
+        while (cursor.blockNumber < safeHead) {
+            const fromBlock = cursor.blockNumber + 1;
+            const toBlock = Math.min(fromBlock + this.batchSize - 1, safeHead);
+
+            const indexed = await this.indexRange(fromBlock, toBlock);
+            cursor = await this.saveCursor(toBlock);
+
+            if (indexed > 0) {
+                this.log.info('Indexed events', { count: indexed, fromBlock, toBlock });
+            }
+        }
+    }
+
+    // Rewind if the block under the cursor is no longer canonical
+    async handleReorg(cursor) {
+        if (!cursor.blockHash) {
+            return cursor;
+        }
+
+        const block = await this.provider.getBlock(cursor.blockNumber);
+        if (block && block.hash === cursor.blockHash) {
+            return cursor;
+        }
+
+        const rewindTo = Math.max(this.startBlock - 1, cursor.blockNumber - this.confirmations * 4);
+        this.log.warn('Reorg detected, rewinding', { blockNumber: cursor.blockNumber, rewindTo });
+
+        await this.rollback(rewindTo);
+        return await this.saveCursor(rewindTo);
+    }
+
+    // Remove everything indexed after the given block
+    async rollback(blockNumber) {
+        const after = { chainId: this.chainId, blockNumber: { $gt: blockNumber } };
+
+        const settlements = await SettlementRecord.find(after).select('marketId');
+        await Market.updateMany(
+            { chainId: this.chainId, marketId: { $in: settlements.map(s => s.marketId) } },
+            { isSettled: false, $unset: { creatorReward: 1, settlementTx: 1, settledAt: 1 } }
+        );
+
+        await SettlementRecord.deleteMany(after);
+        await UserVote.deleteMany(after);
+        await Market.deleteMany(after);
+        await Meme.deleteMany({ ...after, isTemplate: { $ne: true } });
+    }
+
+    // Rebuild the database from a given block up to the current head
+    async backfill(fromBlock) {
+        this.log.info('Backfilling', { fromBlock });
+
+        await this.rollback(fromBlock - 1);
+        await IndexerCursor.findOneAndUpdate(
+            { name: this.cursorName },
+            { blockNumber: fromBlock - 1, blockHash: null },
+            { upsert: true }
+        );
+
+        await this.sync();
+        this.log.info('Backfill complete');
+    }
+
+    async indexRange(fromBlock, toBlock) {
+        const logs = await this.provider.getLogs({
+            address: this.contractAddress,
+            fromBlock,
+            toBlock,
+            topics: [this.topics]
+        });
+
+        logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+        const blockTimes = new Map();
+        for (const log of logs) {
+            const event = this.contract.interface.parseLog(log);
+            if (!event) {
+                continue;
+            }
+
+            if (!blockTimes.has(log.blockNumber)) {
+                const block = await this.provider.getBlock(log.blockNumber);
+                blockTimes.set(log.blockNumber, new Date(block.timestamp * 1000));
+            }
+
+            await this.handleEvent(event, log, blockTimes.get(log.blockNumber));
+        }
+
+        return logs.length;
+    }
+
+    async handleEvent(event, log, blockTime) {
+        switch (event.name) {
+            case 'MarketCreated':
+                return this.onMarketCreated(event.args, log);
+            case 'MemeCreated':
+                return this.onMemeCreated(event.args, log, blockTime);
+            case 'VoteCast':
+                return this.onVoteCast(event.args, log, blockTime);
+            case 'RewardsDistributed':
+                return this.onRewardsDistributed(event.args, log, blockTime);
+        }
+    }
+
+    async onMarketCreated({ marketId, creator, endTime, metadata }, log) {
+        // Lets the settlement service schedule the market without rescanning
+        await this.settlementService.trackMarket(Number(marketId), Number(endTime));
+
+        await Market.findOneAndUpdate(
+            { chainId: this.chainId, marketId: Number(marketId) },
+            {
+                creator,
+                endTime: new Date(Number(endTime) * 1000),
+                metadata,
+                transactionHash: log.transactionHash,
+                blockNumber: log.blockNumber
+            },
+            { upsert: true }
+        );
+    }
+
+    // MemeCreated only carries the template id, the cid comes from the createMeme calldata
+    async onMemeCreated({ templateId }, log, blockTime) {
+        const tx = await this.provider.getTransaction(log.transactionHash);
+        const call = tx && this.contract.interface.parseTransaction({ data: tx.data, value: tx.value });
+
+        if (!call || call.name !== 'createMeme') {
+            this.log.warn('Could not decode meme, skipping', { txHash: log.transactionHash });
+            return;
+        }
+
+        await this.memeService.recordMeme({
+            chainId: this.chainId,
+            cid: call.args.cid,
+            memeTemplate: templateId.toString(),
+            creator: call.args.creator,
+            transactionHash: log.transactionHash,
+            blockNumber: log.blockNumber,
+            createdAt: blockTime
+        });
+    }
+
+    // The stake is the vote cost when the vote was cast, not the current one
+    async onVoteCast({ marketId, voter, vote }, log, blockTime) {
+        const voteCost = await this.voteCostAt(log.blockNumber);
+
+        await UserVote.findOneAndUpdate(
+            { chainId: this.chainId, userAddress: voter, marketId: Number(marketId) },
+            {
+                vote: vote ? 'funny' : 'lame',
+                stakeAmount: voteCost.toString(),
+                transactionHash: log.transactionHash,
+                blockNumber: log.blockNumber,
+                status: 'confirmed',
+                confirmedAt: new Date(),
+                $unset: { error: 1 },
+                $setOnInsert: { votedAt: blockTime }
+            },
+            { upsert: true }
+        );
+    }
+
+    // Votes arrive in block order, so remembering the last block's cost saves most reads
+    async voteCostAt(blockNumber) {
+        if (!this.lastVoteCost || this.lastVoteCost.blockNumber !== blockNumber) {
+            this.lastVoteCost = { blockNumber, value: await this.contract.voteCost({ blockTag: blockNumber }) };
+        }
+        return this.lastVoteCost.value;
+    }
+
+    async onRewardsDistributed({ marketId, creatorReward }, log, blockTime) {
+        const id = Number(marketId);
+        const receipt = await this.provider.getTransactionReceipt(log.transactionHash);
+
+        await this.settlementService.storeSettlementRecord(id, log.transactionHash, receipt, blockTime);
+        await Market.updateOne(
+            { chainId: this.chainId, marketId: id },
+            {
+                isSettled: true,
+                creatorReward: creatorReward.toString(),
+                settlementTx: log.transactionHash,
+                settledAt: blockTime
+            }
+        );
+    }
+}
+
+module.exports = EventIndexer;
@@ -0,0 +1,147 @@
+// server/services/ipfsService.js
+
+// CIDv0 (base58btc "Qm...") and CIDv1 in base32 ("b...") or base36 ("k...")
+const CID_PATTERNS = [
+    /^Qm[1-9A-HJ-NP-Za-km-z]{44}$/,
+    /^b[a-z2-7]{58,}$/,
+    /^k[0-9a-z]{49,}$/
+];
+
+// Bytes fetched per object, enough for image headers and small JSON metadata
+const HEAD_BYTES = 64 * 1024;
+
+function isValidCid(cid) {
+    return typeof cid === 'string' && CID_PATTERNS.some(pattern => pattern.test(cid));
+}
+
+// First maxBytes of a response body, the rest is never downloaded: gateways that
+// ignore the Range header would otherwise stream the whole object
+async function readHead(response, maxBytes) {
+    if (!response.body) {
+        return Buffer.alloc(0);
+    }
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    let length = 0;
+    try {
+        while (length < maxBytes) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+            length += value.length;
+        }
+    } finally {
+        await reader.cancel().catch(() => {});
+    }
+
+    return Buffer.concat(chunks).subarray(0, maxBytes);
+}
+
+// Width/height from the first bytes of a PNG, GIF, JPEG or WebP file
+function readImageDimensions(buffer) {
+    if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+
+    if (buffer.length >= 10 && buffer.toString('ascii', 0, 3) === 'GIF') {
+        return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    }
+
+    if (buffer.length >= 30 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+        const chunk = buffer.toString('ascii', 12, 16);
+        if (chunk === 'VP8X') {
+            return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+        }
+        if (chunk === 'VP8 ') {
+            return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+        }
+        if (chunk === 'VP8L') {
+            const bits = buffer.readUInt32LE(21);
+            return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+        }
+    }
+
+    if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+        let offset = 2;
+        while (offset + 9 < buffer.length) {
+            if (buffer[offset] !== 0xff) break;
+            const marker = buffer[offset + 1];
+            const length = buffer.readUInt16BE(offset + 2);
+
+            // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+            if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+                return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+            }
+            offset += 2 + length;
+        }
+    }
+
+    return null;
+}
+
+// Reads metadata through an HTTP IPFS gateway
+class IpfsGatewayClient {
+    constructor() {
+        this.gatewayUrl = (process.env.IPFS_GATEWAY_URL || 'https://ipfs.io/ipfs/').replace(/\/?$/, '/');
+        this.timeoutMs = Number(process.env.IPFS_TIMEOUT_MS) || 10 * 1000;
+    }
+
+    async fetchMetadata(cid) {
+        const response = await fetch(`${this.gatewayUrl}${cid}`, {
+            headers: { Range: `bytes=0-${HEAD_BYTES - 1}` },
+            signal: AbortSignal.timeout(this.timeoutMs)
+        });
+
+        if (!response.ok) {
+            throw new Error(`IPFS gateway returned ${response.status} for ${cid}`);
+        }
+
+        const mimeType = (response.headers.get('content-type') || 'application/octet-stream').split(';')[0];
+        const contentRange = response.headers.get('content-range');
+        const size = contentRange
+            ? Number(contentRange.split('/')[1]) || null
+            : Number(response.headers.get('content-length')) || null;
+        const buffer = await readHead(response, HEAD_BYTES);
+
+        const metadata = { mimeType, size, width: null, height: null, caption: null };
+
+        if (mimeType.startsWith('image/')) {
+            Object.assign(metadata, readImageDimensions(buffer));
+        } else if (mimeType === 'application/json') {
+            // JSON meme metadata, e.g. { "image": "ipfs://...", "caption": "..." }
+            try {
+                const json = JSON.parse(buffer.toString('utf8'));
+                metadata.caption = json.caption || json.description || json.name || null;
+                metadata.image = json.image || null;
+                metadata.width = json.width || null;
+                metadata.height = json.height || null;
+            } catch (error) {
+                // Truncated or not actually JSON, keep what we have
+            }
+        }
+
+        return metadata;
+    }
+}
+
+// Offline stand-in for local development and tests
+class StubIpfsClient {
+    async fetchMetadata(cid) {
+        return { mimeType: 'image/png', size: 1024, width: 512, height: 512, caption: `Stub meme ${cid.slice(0, 8)}` };
+    }
+}
+
+// Client selected by IPFS_CLIENT: "gateway" (default) or "stub"
+function createIpfsClient(name = process.env.IPFS_CLIENT || 'gateway') {
+    switch (name) {
+        case 'gateway':
+            return new IpfsGatewayClient();
+        case 'stub':
+            return new StubIpfsClient();
+        default:
+            throw new Error(`Unknown IPFS client: ${name}`);
+    }
+}
+
+module.exports = { createIpfsClient, IpfsGatewayClient, StubIpfsClient, isValidCid, readImageDimensions };
@@ -0,0 +1,303 @@
+// server/services/leaderboardService.js
+const cron = require('node-cron');
+const { SettlementRecord, UserVote } = require('../models/Settlement');
+const { LeaderboardSnapshot } = require('../models/Leaderboard');
+const { logger } = require('./logger');
+
+const log = logger.child({ service: 'leaderboards' });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WINDOWS = {
+    'daily': DAY_MS,
+    'weekly': 7 * DAY_MS,
+    'all-time': null
+};
+
+const BOARDS = ['creators', 'voters', 'markets'];
+
+// Wei amounts are stored as strings, sum them as decimals to keep full precision
+const sumWei = (field) => ({ $sum: { $toDecimal: field } });
+
+// Creator reward the creator actually received, and the reward a relayed market generated
+// for the relayer that created it on the requesting user's behalf
+const RELAYED = { $ifNull: ['$requestedBy', false] };
+const creatorRewardSums = {
+    rewardsEarned: sumWei({ $cond: [RELAYED, '0', '$creatorReward'] }),
+    rewardsGenerated: sumWei({ $cond: [RELAYED, '$creatorReward', '0'] })
+};
+
+// Boards are computed separately for every configured chain
+class LeaderboardService {
+    constructor(chainIds) {
+        this.chainIds = chainIds;
+        this.size = Number(process.env.LEADERBOARD_SIZE) || 100;
+        this.minVotes = Number(process.env.LEADERBOARD_MIN_VOTES) || 3;
+        this.schedule = process.env.LEADERBOARD_CRON || '*/10 * * * *';
+        this.isRunning = false;
+    }
+
+    // Recompute every board on a schedule
+    start() {
+        log.info('Starting leaderboards', { schedule: this.schedule });
+
+        const refresh = async () => {
+            if (this.isRunning) {
+                return;
+            }
+
+            this.isRunning = true;
+            try {
+                await this.refreshAll();
+            } catch (error) {
+                log.error('Leaderboard refresh error', { error });
+            } finally {
+                this.isRunning = false;
+            }
+        };
+
+        cron.schedule(this.schedule, refresh);
+        refresh();
+    }
+
+    since(window) {
+        const span = WINDOWS[window];
+        return span ? new Date(Date.now() - span) : new Date(0);
+    }
+
+    async refreshAll() {
+        for (const chainId of this.chainIds) {
+            for (const board of BOARDS) {
+                for (const window of Object.keys(WINDOWS)) {
+                    const entries = await this.compute(board, window, chainId);
+                    await LeaderboardSnapshot.findOneAndUpdate(
+                        { chainId, board, window },
+                        { entries, computedAt: new Date() },
+                        { upsert: true }
+                    );
+                }
+            }
+        }
+        log.info('Leaderboards refreshed');
+    }
+
+    async compute(board, window, chainId) {
+        const since = this.since(window);
+
+        switch (board) {
+            case 'creators':
+                return await this.topCreators(chainId, since);
+            case 'voters':
+                return await this.topVoters(chainId, since);
+            case 'markets':
+                return await this.hottestMarkets(chainId, since);
+        }
+    }
+
+    // Cached board, computed once if the scheduler has not produced it yet
+    async getLeaderboard(board, window, chainId) {
+        let snapshot = await LeaderboardSnapshot.findOne({ chainId, board, window });
+
+        if (!snapshot) {
+            snapshot = await LeaderboardSnapshot.findOneAndUpdate(
+                { chainId, board, window },
+                { entries: await this.compute(board, window, chainId), computedAt: new Date() },
+                { upsert: true, new: true }
+            );
+        }
+
+        return {
+            chainId,
+            board,
+            window,
+            computedAt: snapshot.computedAt,
+            entries: snapshot.entries
+        };
+    }
+
+    // Creators ranked by rewards earned from settled markets. Relayed markets count for the
+    // user who requested them, but their creator reward went to the relayer (rewardsGenerated)
+    async topCreators(chainId, since) {
+        return await SettlementRecord.aggregate([
+            { $match: { chainId, settledAt: { $gte: since } } },
+            {
+                $group: {
+                    _id: { $ifNull: ['$requestedBy', '$templateCreator'] },
+                    ...creatorRewardSums,
+                    marketsSettled: { $sum: 1 },
+                    totalVotes: { $sum: '$totalVotes' }
+                }
+            },
+            { $sort: { rewardsEarned: -1, totalVotes: -1 } },
+            { $limit: this.size },
+            {
+                $project: {
+                    _id: 0,
+                    address: '$_id',
+                    rewardsEarned: { $toString: '$rewardsEarned' },
+                    rewardsGenerated: { $toString: '$rewardsGenerated' },
+                    marketsSettled: 1,
+                    totalVotes: 1
+                }
+            }
+        ]);
+    }
+
+    // Voters ranked by win rate (with a minimum number of decided votes), then net profit.
+    // Ties are neither won nor lost, so they stay out of the win rate
+    async topVoters(chainId, since, address = null) {
+        const match = { chainId, settledAt: { $gte: since } };
+        if (address) {
+            match['participants.address'] = address;
+        }
+
+        const pipeline = [
+            { $match: match },
+            { $unwind: '$participants' },
+            ...(address ? [{ $match: { 'participants.address': address } }] : []),
+            {
+                $group: {
+                    _id: '$participants.address',
+                    votes: { $sum: 1 },
+                    wins: { $sum: { $cond: ['$participants.won', 1, 0] } },
+                    ties: { $sum: { $cond: [{ $eq: ['$winnerSide', 'tie'] }, 1, 0] } },
+                    totalStaked: sumWei('$participants.staked'),
+                    totalPayout: sumWei('$participants.payout')
+                }
+            },
+            { $addFields: { decided: { $subtract: ['$votes', '$ties'] } } },
+            {
+                $addFields: {
+                    winRate: { $cond: [{ $gt: ['$decided', 0] }, { $divide: ['$wins', '$decided'] }, 0] },
+                    netProfit: { $subtract: ['$totalPayout', '$totalStaked'] }
+                }
+            }
+        ];
+
+        if (!address) {
+            pipeline.push(
+                { $match: { decided: { $gte: this.minVotes } } },
+                { $sort: { winRate: -1, netProfit: -1 } },
+                { $limit: this.size }
+            );
+        }
+
+        pipeline.push({
+            $project: {
+                _id: 0,
+                address: '$_id',
+                votes: 1,
+                wins: 1,
+                losses: { $subtract: ['$decided', '$wins'] },
+                ties: 1,
+                winRate: 1,
+                totalStaked: { $toString: '$totalStaked' },
+                totalPayout: { $toString: '$totalPayout' },
+                netProfit: { $toString: '$netProfit' }
+            }
+        });
+
+        return await SettlementRecord.aggregate(pipeline);
+    }
+
+    // Markets with the most votes cast in the window
+    async hottestMarkets(chainId, since) {
+        return await UserVote.aggregate([
+            { $match: { chainId, status: { $ne: 'reverted' }, votedAt: { $gte: since } } },
+            {
+                $group: {
+                    _id: '$marketId',
+                    votes: { $sum: 1 },
+                    funnyVotes: { $sum: { $cond: [{ $eq: ['$vote', 'funny'] }, 1, 0] } },
+                    lameVotes: { $sum: { $cond: [{ $eq: ['$vote', 'lame'] }, 1, 0] } },
+                    lastVoteAt: { $max: '$votedAt' }
+                }
+            },
+            { $sort: { votes: -1, lastVoteAt: -1 } },
+            { $limit: this.size },
+            {
+                $project: {
+                    _id: 0,
+                    marketId: '$_id',
+                    votes: 1,
+                    funnyVotes: 1,
+                    lameVotes: 1,
+                    lastVoteAt: 1
+                }
+            }
+        ]);
+    }
+
+    // Creator and voter reputation for one address, always computed live
+    async getProfile(address, chainId) {
+        const allTime = new Date(0);
+
+        // Markets this address created directly or requested through the relayer
+        const [creatorStats] = await SettlementRecord.aggregate([
+            { $match: { chainId, $or: [{ requestedBy: address }, { templateCreator: address, requestedBy: null }] } },
+            {
+                $group: {
+                    _id: null,
+                    marketsSettled: { $sum: 1 },
+                    ...creatorRewardSums,
+                    totalVotesReceived: { $sum: '$totalVotes' }
+                }
+            },
+            {
+                $project: {
+                    _id: 0,
+                    marketsSettled: 1,
+                    rewardsEarned: { $toString: '$rewardsEarned' },
+                    rewardsGenerated: { $toString: '$rewardsGenerated' },
+                    totalVotesReceived: 1
+                }
+            }
+        ]);
+
+        const [voterStats] = await this.topVoters(chainId, allTime, address);
+        const counted = { chainId, userAddress: address, status: { $ne: 'reverted' } };
+        const totalVotes = await UserVote.countDocuments(counted);
+        const lastVote = await UserVote.findOne(counted).sort({ votedAt: -1 });
+
+        const creator = creatorStats || { marketsSettled: 0, rewardsEarned: '0', rewardsGenerated: '0', totalVotesReceived: 0 };
+        const voter = voterStats || {
+            votes: 0, wins: 0, losses: 0, ties: 0, winRate: 0, totalStaked: '0', totalPayout: '0', netProfit: '0'
+        };
+        delete voter.address;
+
+        return {
+            chainId,
+            address,
+            creator,
+            voter: {
+                ...voter,
+                totalVotes,
+                // Cast but not in a settled market yet
+                unsettledVotes: totalVotes - voter.votes,
+                lastVotedAt: lastVote ? lastVote.votedAt : null
+            },
+            rank: await this.getRank(address, chainId)
+        };
+    }
+
+    // Position on the cached all-time boards, null when not ranked
+    async getRank(address, chainId) {
+        const snapshots = await LeaderboardSnapshot.find({
+            chainId,
+            window: 'all-time',
+            board: { $in: ['creators', 'voters'] }
+        });
+        const rank = { creators: null, voters: null };
+
+        for (const snapshot of snapshots) {
+            const index = snapshot.entries.findIndex(entry => entry.address === address);
+            rank[snapshot.board] = index === -1 ? null : index + 1;
+        }
+        return rank;
+    }
+}
+
+LeaderboardService.WINDOWS = Object.keys(WINDOWS);
+LeaderboardService.BOARDS = BOARDS;
+
+module.exports = LeaderboardService;
@@ -0,0 +1,60 @@
+// server/services/lockService.js
+const crypto = require('crypto');
+const { createClient } = require('redis');
+const { logger } = require('./logger');
+
+const log = logger.child({ service: 'lock' });
+
+// Only deletes the key if we still hold it
+const RELEASE_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+    return redis.call("del", KEYS[1])
+end
+return 0
+`;
+
+// Redis SET NX PX lock, shared by every server instance
+class RedisLock {
+    constructor(prefix = 'lock') {
+        this.prefix = prefix;
+        this.redisUrl = process.env.REDIS_URL || 'redis://127.0.0.1:6379';
+        this.client = null;
+    }
+
+    async getClient() {
+        if (!this.client) {
+            this.client = createClient({ url: this.redisUrl });
+            this.client.on('error', (error) => log.error('Redis lock client error', { prefix: this.prefix, error: error.message }));
+            await this.client.connect();
+        }
+        return this.client;
+    }
+
+    // Resolves with a release token, or null when someone else holds the lock
+    async acquire(name, ttlMs) {
+        const client = await this.getClient();
+        const token = crypto.randomUUID();
+
+        const result = await client.set(`${this.prefix}:${name}`, token, { NX: true, PX: ttlMs });
+        return result === 'OK' ? token : null;
+    }
+
+    async close() {
+        if (this.client) {
+            const client = this.client;
+            this.client = null;
+            await (client.isReady ? client.quit() : client.disconnect()).catch(() => {});
+        }
+    }
+
+    async release(name, token) {
+        const client = await this.getClient();
+
+        await client.eval(RELEASE_SCRIPT, {
+            keys: [`${this.prefix}:${name}`],
+            arguments: [token]
+        });
+    }
+}
+
+module.exports = RedisLock;
@@ -0,0 +1,92 @@
+// server/services/logger.js
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Request id of the HTTP request being handled, if any
+const requestContext = new AsyncLocalStorage();
+
+// Errors don't survive JSON.stringify, keep the useful parts
+function serializeError(error) {
+    if (!(error instanceof Error)) return error;
+    return {
+        name: error.name,
+        message: error.message,
+        ...(error.code !== undefined ? { code: error.code } : {}),
+        stack: error.stack
+    };
+}
+
+// One JSON object per line on stdout (stderr for errors), e.g.
+// {"time":"...","level":"info","msg":"Vote relayed","requestId":"...","jobId":"..."}
+class Logger {
+    // Without an explicit level, LOG_LEVEL is read on every entry, so loggers created
+    // before dotenv ran still follow the configured level
+    constructor(fields = {}, level = null) {
+        this.fields = fields;
+        this.levelName = level;
+    }
+
+    get level() {
+        return LEVELS[this.levelName || process.env.LOG_LEVEL] || LEVELS.info;
+    }
+
+    // Logger that adds the given fields to every entry, e.g. { service: 'settlement' }
+    child(fields) {
+        return new Logger({ ...this.fields, ...fields }, this.levelName);
+    }
+
+    log(level, msg, fields = {}) {
+        if (LEVELS[level] < this.level) return;
+
+        const context = requestContext.getStore();
+        const entry = {
+            time: new Date().toISOString(),
+            level,
+            msg,
+            ...(context ? { requestId: context.requestId } : {}),
+            ...this.fields
+        };
+        for (const [key, value] of Object.entries(fields)) {
+            entry[key] = value instanceof Error ? serializeError(value) : value;
+        }
+
+        const line = JSON.stringify(entry, (key, value) => (typeof value === 'bigint' ? value.toString() : value));
+        (LEVELS[level] >= LEVELS.error ? process.stderr : process.stdout).write(line + '\n');
+    }
+
+    debug(msg, fields) { this.log('debug', msg, fields); }
+    info(msg, fields) { this.log('info', msg, fields); }
+    warn(msg, fields) { this.log('warn', msg, fields); }
+    error(msg, fields) { this.log('error', msg, fields); }
+}
+
+const logger = new Logger();
+
+// Express middleware: give every request an id (or keep the caller's X-Request-Id),
+// echo it back and log the finished request
+function requestLogger() {
+    return (req, res, next) => {
+        const incoming = req.get('X-Request-Id');
+        const requestId = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+        const started = process.hrtime.bigint();
+        req.id = requestId;
+        res.set('X-Request-Id', requestId);
+
+        res.on('finish', () => {
+            requestContext.run({ requestId }, () => {
+                logger.info('Request completed', {
+                    method: req.method,
+                    path: req.originalUrl.split('?')[0],
+                    status: res.statusCode,
+                    durationMs: Number(process.hrtime.bigint() - started) / 1e6
+                });
+            });
+        });
+
+        requestContext.run({ requestId }, next);
+    };
+}
+
+module.exports = { logger, Logger, requestLogger, requestContext };
@@ -0,0 +1,161 @@
+// server/services/marketService.js
+const EventEmitter = require('events');
+const { Contract } = require('ethers');
+const { Market } = require('../models/Market');
+const CONTRACT = require('../FunnyOrFud.json');
+const { logger } = require('./logger');
+
+const MAX_PAGE_SIZE = 50;
+
+// Emits 'market-created' once a relayed market's MarketCreated log is mined
+class MarketService extends EventEmitter {
+    constructor(relayerPool, contractAddress, contractCache) {
+        super();
+        this.cache = contractCache;
+        this.relayers = relayerPool;
+        this.chainId = relayerPool.chainId;
+        this.provider = relayerPool.provider;
+        this.contract = new Contract(contractAddress, CONTRACT.abi, this.provider);
+        this.log = logger.child({ service: 'markets', chainId: this.chainId });
+
+        this.trackCreatedMarkets();
+    }
+
+    // Remember which user asked for a relayed market once its MarketCreated log is mined
+    trackCreatedMarkets() {
+        this.relayers.on('mined', async (job) => {
+            if (job.action !== 'createMarket') return;
+
+            try {
+                const receipt = await this.provider.getTransactionReceipt(job.txHash);
+                for (const log of receipt.logs) {
+                    const event = this.contract.interface.parseLog(log);
+                    if (!event || event.name !== 'MarketCreated') continue;
+
+                    const { marketId, creator, endTime, metadata } = event.args;
+                    await Market.findOneAndUpdate(
+                        { chainId: this.chainId, marketId: Number(marketId) },
+                        {
+                            creator,
+                            endTime: new Date(Number(endTime) * 1000),
+                            metadata,
+                            requestedBy: job.meta.requestedBy,
+                            transactionHash: receipt.hash,
+                            blockNumber: receipt.blockNumber
+                        },
+                        { upsert: true }
+                    );
+
+                    this.emit('market-created', {
+                        marketId: Number(marketId),
+                        creator,
+                        requestedBy: job.meta.requestedBy,
+                        endTime: Number(endTime),
+                        metadata,
+                        transactionHash: receipt.hash
+                    });
+                }
+            } catch (error) {
+                this.log.error('Failed to record relayed market', { jobId: job.jobId, error });
+            }
+        });
+    }
+
+    // Queue createMarket through the relayer pool with the metadata string the user signed.
+    // createMarket has no creator argument, so the relayer is the on-chain creator and the
+    // contract pays it the creator reward. requestedBy is credited on leaderboards and profiles.
+    async createMarket(metadata, requestedBy) {
+        return await this.relayers.submitCall(this.contract, 'createMarket', [metadata], {
+            meta: { requestedBy }
+        });
+    }
+
+    // Mongo filter for the indexed markets
+    buildFilter({ status, creator }) {
+        const now = new Date();
+        const filter = { chainId: this.chainId };
+
+        if (status === 'active') {
+            Object.assign(filter, { isSettled: false, endTime: { $gt: now } });
+        } else if (status === 'ended') {
+            Object.assign(filter, { isSettled: false, endTime: { $lte: now } });
+        } else if (status === 'settled') {
+            filter.isSettled = true;
+        }
+
+        // Relayed markets belong to the user who asked for them, not the relayer
+        if (creator) {
+            filter.$or = [{ requestedBy: creator }, { creator, requestedBy: null }];
+        }
+
+        return filter;
+    }
+
+    async listMarkets({ status, creator, page = 1, limit = 20 }) {
+        const pageSize = Math.min(Math.max(Number(limit) || 20, 1), MAX_PAGE_SIZE);
+        const pageNumber = Math.max(Number(page) || 1, 1);
+        const filter = this.buildFilter({ status, creator });
+
+        const [total, records] = await Promise.all([
+            Market.countDocuments(filter),
+            Market.find(filter)
+                .sort({ marketId: -1 })
+                .skip((pageNumber - 1) * pageSize)
+                .limit(pageSize)
+        ]);
+
+        const markets = await Promise.all(records.map(record => this.getMarket(record.marketId, record)));
+
+        return { markets, page: pageNumber, limit: pageSize, total };
+    }
+
+    async marketExists(marketId) {
+        return Number.isInteger(marketId) && marketId >= 0 && marketId < Number(await this.cache.marketCount());
+    }
+
+    // Live on-chain market state, merged with what the indexer knows
+    async getMarket(marketId, record = null) {
+        const [creator, endTime, yesVotes, noVotes, totalStaked, isActive, metadata, memes] =
+            await this.cache.getMarket(marketId);
+
+        if (!record) {
+            record = await Market.findOne({ chainId: this.chainId, marketId });
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        const timeLeft = Math.max(Number(endTime) - now, 0);
+
+        return {
+            chainId: this.chainId,
+            marketId: Number(marketId),
+            creator,
+            requestedBy: record ? record.requestedBy : undefined,
+            endTime: new Date(Number(endTime) * 1000).toISOString(),
+            timeLeft,
+            status: !isActive ? 'settled' : timeLeft > 0 ? 'active' : 'ended',
+            yesVotes: Number(yesVotes),
+            noVotes: Number(noVotes),
+            totalVotes: Number(yesVotes) + Number(noVotes),
+            totalStaked: totalStaked.toString(),
+            metadata: this.parseMetadata(metadata),
+            memes: memes.map(meme => ({
+                creator: meme.creator,
+                cid: meme.cid,
+                memeTemplate: meme.memeTemplate.toString()
+            })),
+            createdTx: record ? record.transactionHash : undefined,
+            settlementTx: record ? record.settlementTx : undefined
+        };
+    }
+
+    // Metadata is usually JSON, fall back to the raw string
+    parseMetadata(metadata) {
+        try {
+            return JSON.parse(metadata);
+        } catch (error) {
+            return metadata;
+        }
+    }
+}
+
+module.exports = MarketService;
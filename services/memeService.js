@@ -0,0 +1,221 @@
+// server/services/memeService.js
+const { Meme } = require('../model');
+const { createIpfsClient, isValidCid } = require('./ipfsService');
+const ModerationService = require('./moderationService');
+const { logger } = require('./logger');
+
+const log = logger.child({ service: 'memes' });
+
+const MAX_PAGE_SIZE = 50;
+
+class MemeError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'MemeError';
+        this.status = status;
+    }
+}
+
+// Meme records, their IPFS metadata and the templates catalog
+class MemeService {
+    constructor(moderationService = new ModerationService(), ipfsClient = createIpfsClient()) {
+        this.moderation = moderationService;
+        this.ipfs = ipfsClient;
+        // cid -> in-flight metadata fetch, so concurrent requests share one gateway call
+        this.fetching = new Map();
+    }
+
+    validateCid(cid) {
+        if (!isValidCid(cid)) {
+            throw new MemeError('Invalid IPFS CID');
+        }
+    }
+
+    // Record relayed memes as soon as their createMeme transaction is mined
+    trackRelayedMemes(relayerPool) {
+        relayerPool.on('mined', async (job) => {
+            if (job.action !== 'createMeme') return;
+
+            try {
+                const { address, cid, templateId } = job.meta;
+                await this.recordMeme({
+                    chainId: job.chainId,
+                    cid,
+                    memeTemplate: String(templateId),
+                    creator: address,
+                    transactionHash: job.txHash,
+                    blockNumber: job.blockNumber
+                });
+            } catch (error) {
+                log.error('Failed to record relayed meme', { chainId: job.chainId, jobId: job.jobId, error });
+            }
+        });
+    }
+
+    // Upsert an on-chain meme, then fetch its metadata and screen it in the background
+    async recordMeme({ chainId, cid, memeTemplate, creator, transactionHash, blockNumber, createdAt }) {
+        const { value: meme, lastErrorObject } = await Meme.findOneAndUpdate(
+            { chainId, cid, memeTemplate },
+            {
+                creator,
+                transactionHash,
+                blockNumber,
+                $setOnInsert: { isTemplate: false, ...(createdAt ? { createdAt } : {}) }
+            },
+            { upsert: true, new: true, includeResultMetadata: true }
+        );
+
+        // Relay and indexer both record the same meme, only screen it once
+        if (!lastErrorObject.updatedExisting) {
+            this.screenMeme(meme).catch((error) => {
+                log.warn('Could not screen meme', { memeId: meme._id, error: error.message });
+            });
+        }
+
+        return meme;
+    }
+
+    async screenMeme(meme) {
+        let content = null;
+        if (isValidCid(meme.cid)) {
+            try {
+                content = await this.getContent(meme.cid);
+            } catch (error) {
+                log.warn('Could not fetch IPFS metadata', { cid: meme.cid, error: error.message });
+            }
+        }
+
+        return await this.moderation.screen(meme, content);
+    }
+
+    // A page of the memes on a chain visible to the caller, moderators also get hidden ones
+    async listMemes(options = {}) {
+        const chainId = options.chainId;
+        return await this.listPage({ chainId, ...this.moderation.visibleFilter(Boolean(options.includeHidden)) }, options);
+    }
+
+    async listByTemplate(templateId, options = {}) {
+        const chainId = options.chainId;
+        const filter = { chainId, memeTemplate: templateId, ...this.moderation.visibleFilter(Boolean(options.includeHidden)) };
+        return { templateId, ...(await this.listPage(filter, options)) };
+    }
+
+    async listPage(filter, options) {
+        const { pageSize, pageNumber, skip } = this.paginate(options);
+        const [total, memes] = await Promise.all([
+            Meme.countDocuments(filter),
+            Meme.find(filter)
+                .sort({ createdAt: -1, _id: -1 })
+                .skip(skip)
+                .limit(pageSize)
+        ]);
+
+        return { chainId: filter.chainId, memes, page: pageNumber, limit: pageSize, total };
+    }
+
+    // Metadata for a cid, from the cache on any meme sharing it or from the gateway.
+    // Only cids of recorded memes are fetched, the gateway is not an open proxy
+    async getContent(cid) {
+        this.validateCid(cid);
+
+        const known = await Meme.findOne({ cid })
+            .sort({ 'content.fetchedAt': -1 })
+            .select('content');
+        if (!known) {
+            throw new MemeError('Unknown meme content', 404);
+        }
+        if (known.content && known.content.fetchedAt) {
+            return known.content;
+        }
+
+        if (!this.fetching.has(cid)) {
+            const fetching = this.fetchContent(cid).finally(() => this.fetching.delete(cid));
+            this.fetching.set(cid, fetching);
+        }
+        return await this.fetching.get(cid);
+    }
+
+    async fetchContent(cid) {
+        const content = { ...(await this.ipfs.fetchMetadata(cid)), fetchedAt: new Date() };
+        await Meme.updateMany({ cid }, { content });
+        return content;
+    }
+
+    paginate({ page = 1, limit = 20 }) {
+        const pageSize = Math.min(Math.max(Number(limit) || 20, 1), MAX_PAGE_SIZE);
+        const pageNumber = Math.max(Number(page) || 1, 1);
+        return { pageSize, pageNumber, skip: (pageNumber - 1) * pageSize };
+    }
+
+    // Templates with how many visible memes were derived from each, most used first
+    async listTemplates(options = {}) {
+        const { pageSize, pageNumber, skip } = this.paginate(options);
+        const includeHidden = Boolean(options.includeHidden);
+        const chainId = options.chainId;
+        const filter = { chainId, isTemplate: true, ...this.moderation.visibleFilter(includeHidden) };
+        const hiddenStatuses = includeHidden ? ['removed'] : ['hidden', 'removed'];
+
+        const [total, templates] = await Promise.all([
+            Meme.countDocuments(filter),
+            Meme.aggregate([
+                { $match: filter },
+                {
+                    $lookup: {
+                        from: Meme.collection.name,
+                        let: { templateId: '$memeTemplate', chainId: '$chainId' },
+                        pipeline: [
+                            {
+                                $match: {
+                                    $expr: {
+                                        $and: [
+                                            { $eq: ['$chainId', '$$chainId'] },
+                                            { $eq: ['$memeTemplate', '$$templateId'] },
+                                            { $ne: ['$isTemplate', true] },
+                                            { $not: { $in: ['$moderation.status', hiddenStatuses] } }
+                                        ]
+                                    }
+                                }
+                            },
+                            { $count: 'count' }
+                        ],
+                        as: 'usage'
+                    }
+                },
+                { $addFields: { usageCount: { $ifNull: [{ $first: '$usage.count' }, 0] } } },
+                { $project: { usage: 0 } },
+                { $sort: { usageCount: -1, createdAt: -1 } },
+                { $skip: skip },
+                { $limit: pageSize }
+            ])
+        ]);
+
+        return { chainId, templates, page: pageNumber, limit: pageSize, total };
+    }
+
+    // One template and a page of the memes derived from it
+    async getTemplate(templateId, options = {}) {
+        const { pageSize, pageNumber, skip } = this.paginate(options);
+        const visible = this.moderation.visibleFilter(Boolean(options.includeHidden));
+        const chainId = options.chainId;
+        const derivedFilter = { chainId, memeTemplate: templateId, isTemplate: { $ne: true }, ...visible };
+
+        const [template, usageCount, memes] = await Promise.all([
+            Meme.findOne({ chainId, memeTemplate: templateId, isTemplate: true, ...visible }),
+            Meme.countDocuments(derivedFilter),
+            Meme.find(derivedFilter)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(pageSize)
+        ]);
+
+        if (!template && usageCount === 0) {
+            throw new MemeError('Template not found', 404);
+        }
+
+        return { chainId, templateId, template, usageCount, memes, page: pageNumber, limit: pageSize };
+    }
+}
+
+MemeService.MemeError = MemeError;
+
+module.exports = MemeService;
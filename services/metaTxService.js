@@ -0,0 +1,126 @@
+// server/services/metaTxService.js
+const { ethers } = require('ethers');
+const { RelayNonce } = require('../models/RelayNonce');
+
+// EIP-712 types for every action the relayer performs on a user's behalf
+const RELAY_TYPES = {
+    Vote: {
+        Vote: [
+            { name: 'voter', type: 'address' },
+            { name: 'marketId', type: 'uint256' },
+            { name: 'voteYes', type: 'bool' },
+            { name: 'nonce', type: 'uint256' },
+            { name: 'deadline', type: 'uint256' }
+        ]
+    },
+    CreateMarket: {
+        CreateMarket: [
+            { name: 'creator', type: 'address' },
+            { name: 'metadata', type: 'string' },
+            { name: 'nonce', type: 'uint256' },
+            { name: 'deadline', type: 'uint256' }
+        ]
+    },
+    CreateMeme: {
+        CreateMeme: [
+            { name: 'creator', type: 'address' },
+            { name: 'cid', type: 'string' },
+            { name: 'templateId', type: 'uint256' },
+            { name: 'nonce', type: 'uint256' },
+            { name: 'deadline', type: 'uint256' }
+        ]
+    }
+};
+
+class MetaTxError extends Error {
+    constructor(message, status = 401) {
+        super(message);
+        this.name = 'MetaTxError';
+        this.status = status;
+    }
+}
+
+class MetaTxService {
+    constructor(provider, contractAddress, chainId) {
+        this.provider = provider;
+        this.contractAddress = contractAddress;
+        this.chainId = BigInt(chainId);
+    }
+
+    async getDomain() {
+        return {
+            name: 'ViralForge Relay',
+            version: '1',
+            chainId: this.chainId,
+            verifyingContract: this.contractAddress
+        };
+    }
+
+    async getNonce(address) {
+        const record = await RelayNonce.findOne({ chainId: Number(this.chainId), address });
+        return record ? record.nonce : 0;
+    }
+
+    // Everything a client needs to build the typed data for an action
+    async getSigningData(address) {
+        const domain = await this.getDomain();
+
+        return {
+            domain: { ...domain, chainId: domain.chainId.toString() },
+            types: RELAY_TYPES,
+            nonce: await this.getNonce(address)
+        };
+    }
+
+    // Check the signature, deadline and nonce, then burn the nonce so the signature cannot be replayed
+    async authorize(action, value, signature, signer) {
+        const types = RELAY_TYPES[action];
+        if (!types) {
+            throw new MetaTxError(`Unknown relay action ${action}`, 400);
+        }
+        if (!signature || value.nonce === undefined || value.deadline === undefined) {
+            throw new MetaTxError('Missing signature, nonce or deadline', 400);
+        }
+
+        const deadline = Number(value.deadline);
+        if (!Number.isFinite(deadline) || deadline < Math.floor(Date.now() / 1000)) {
+            throw new MetaTxError('Signature deadline has passed');
+        }
+
+        let recovered;
+        try {
+            recovered = ethers.verifyTypedData(await this.getDomain(), types, value, signature);
+        } catch (error) {
+            throw new MetaTxError('Invalid signature');
+        }
+        if (recovered !== signer) {
+            throw new MetaTxError('Signature was not made by the acting address');
+        }
+
+        await this.consumeNonce(signer, Number(value.nonce));
+    }
+
+    async consumeNonce(address, nonce) {
+        try {
+            // Only matches while the signed nonce is still the current one
+            const updated = await RelayNonce.findOneAndUpdate(
+                { chainId: Number(this.chainId), address, nonce },
+                { $inc: { nonce: 1 } },
+                { upsert: nonce === 0 }
+            );
+            if (!updated && nonce !== 0) {
+                throw new MetaTxError('Nonce already used or out of order', 409);
+            }
+        } catch (error) {
+            if (error.code === 11000) {
+                throw new MetaTxError('Nonce already used or out of order', 409);
+            }
+            throw error;
+        }
+    }
+}
+
+MetaTxService.MetaTxError = MetaTxError;
+MetaTxService.RELAY_TYPES = RELAY_TYPES;
+
+module.exports = MetaTxService;
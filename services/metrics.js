@@ -0,0 +1,141 @@
+// server/services/metrics.js
+const client = require('prom-client');
+const { ethers } = require('ethers');
+
+// Prometheus metrics, served at GET /metrics
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const relayRequests = new client.Counter({
+    name: 'viralforge_relay_requests_total',
+    help: 'Relayed transactions by action and outcome (queued, mined, reverted, failed, dropped)',
+    labelNames: ['chain_id', 'action', 'outcome'],
+    registers: [register]
+});
+
+const settlementAttempts = new client.Counter({
+    name: 'viralforge_settlement_attempts_total',
+    help: 'Settlement attempts by status (succeeded, failed, skipped)',
+    labelNames: ['chain_id', 'status'],
+    registers: [register]
+});
+
+const settlementDeadLetters = new client.Counter({
+    name: 'viralforge_settlement_dead_letters_total',
+    help: 'Markets moved to the dead-letter list after exhausting their attempts',
+    labelNames: ['chain_id'],
+    registers: [register]
+});
+
+const gasUsed = new client.Counter({
+    name: 'viralforge_gas_used_total',
+    help: 'Gas used by mined relayer transactions',
+    labelNames: ['chain_id', 'action'],
+    registers: [register]
+});
+
+const ethSpent = new client.Counter({
+    name: 'viralforge_eth_spent_total',
+    help: 'ETH spent by relayers on gas plus transferred value',
+    labelNames: ['chain_id', 'action'],
+    registers: [register]
+});
+
+const faucetGrants = new client.Counter({
+    name: 'viralforge_faucet_grants_total',
+    help: 'Faucet requests by outcome (queued, denied, mined, failed)',
+    labelNames: ['chain_id', 'outcome'],
+    registers: [register]
+});
+
+const rpcDuration = new client.Histogram({
+    name: 'viralforge_rpc_request_duration_seconds',
+    help: 'JSON-RPC round trip time by method ("batch" for batched calls)',
+    labelNames: ['chain_id', 'method', 'outcome'],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [register]
+});
+
+// Relayer pools whose balances are reported on every scrape
+const relayerPools = new Set();
+
+new client.Gauge({
+    name: 'viralforge_relayer_balance_eth',
+    help: 'Last checked relayer wallet balance',
+    labelNames: ['chain_id', 'address'],
+    registers: [register],
+    collect() {
+        this.reset();
+        for (const pool of relayerPools) {
+            for (const relayer of pool.relayers) {
+                if (relayer.balance === null) continue;
+                this.set(
+                    { chain_id: pool.chainId, address: relayer.address },
+                    Number(ethers.formatEther(relayer.balance))
+                );
+            }
+        }
+    }
+});
+
+// Count a pool's relay jobs and their gas and ETH spend, and report its balances
+function observeRelayerPool(pool) {
+    relayerPools.add(pool);
+
+    pool.on('queued', (job) => {
+        relayRequests.inc({ chain_id: pool.chainId, action: job.action, outcome: 'queued' });
+    });
+    pool.on('mined', (job) => {
+        relayRequests.inc({ chain_id: pool.chainId, action: job.action, outcome: 'mined' });
+        recordSpend(pool.chainId, job);
+    });
+    pool.on('failed', (job) => {
+        // A reverted transaction still paid for its gas
+        const outcome = job.gasUsed ? 'reverted' : job.status === 'dropped' ? 'dropped' : 'failed';
+        relayRequests.inc({ chain_id: pool.chainId, action: job.action, outcome });
+        if (job.gasUsed) recordSpend(pool.chainId, job, { reverted: true });
+    });
+}
+
+function recordSpend(chainId, job, { reverted = false } = {}) {
+    const labels = { chain_id: chainId, action: job.action };
+    const gas = BigInt(job.gasUsed);
+    const fee = gas * BigInt(job.effectiveGasPrice || 0);
+    const value = reverted ? 0n : BigInt(job.value || 0);
+
+    gasUsed.inc(labels, Number(gas));
+    ethSpent.inc(labels, Number(ethers.formatEther(fee + value)));
+}
+
+// Time every JSON-RPC request the provider sends
+function instrumentProvider(provider, chainId) {
+    const send = provider._send.bind(provider);
+
+    provider._send = async (payload) => {
+        const method = Array.isArray(payload) ? (payload.length === 1 ? payload[0].method : 'batch') : payload.method;
+        const end = rpcDuration.startTimer({ chain_id: chainId, method });
+        try {
+            const result = await send(payload);
+            end({ outcome: 'ok' });
+            return result;
+        } catch (error) {
+            end({ outcome: 'error' });
+            throw error;
+        }
+    };
+
+    return provider;
+}
+
+module.exports = {
+    register,
+    relayRequests,
+    settlementAttempts,
+    settlementDeadLetters,
+    gasUsed,
+    ethSpent,
+    faucetGrants,
+    rpcDuration,
+    observeRelayerPool,
+    instrumentProvider
+};
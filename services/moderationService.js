@@ -0,0 +1,173 @@
+// server/services/moderationService.js
+const mongoose = require('mongoose');
+const { Meme } = require('../model');
+const { MemeReport } = require('../models/Moderation');
+const { createClassifier } = require('./contentClassifier');
+const { logger } = require('./logger');
+
+const log = logger.child({ service: 'moderation' });
+
+const STATUSES = ['pending', 'approved', 'hidden', 'removed'];
+const REASONS = ['offensive', 'spam', 'copyright', 'illegal', 'other'];
+const MAX_PAGE_SIZE = 100;
+
+class ModerationError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ModerationError';
+        this.status = status;
+    }
+}
+
+// User reports, classifier screening and the moderators' review queue
+class ModerationService {
+    constructor(classifier = createClassifier()) {
+        this.classifier = classifier;
+        this.reportThreshold = Number(process.env.MODERATION_REPORT_THRESHOLD) || 3;
+    }
+
+    // Mongo filter for memes a caller may see; moderators also see hidden ones
+    visibleFilter(includeHidden = false) {
+        return includeHidden
+            ? { 'moderation.status': { $ne: 'removed' } }
+            : { 'moderation.status': { $nin: ['hidden', 'removed'] } };
+    }
+
+    // Memes are moderated per chain, a meme on another chain is not found
+    async findMeme(memeId, chainId) {
+        if (!mongoose.isValidObjectId(memeId)) {
+            throw new ModerationError('Invalid meme id');
+        }
+
+        const meme = await Meme.findOne({ _id: memeId, chainId });
+        if (!meme) {
+            throw new ModerationError('Meme not found', 404);
+        }
+        return meme;
+    }
+
+    // One report per user and meme. Reports send the meme back to the queue and
+    // hide unreviewed memes once they reach the threshold.
+    async report(memeId, chainId, reporter, { reason, details }) {
+        if (!REASONS.includes(reason)) {
+            throw new ModerationError(`reason must be one of: ${REASONS.join(', ')}`);
+        }
+
+        const meme = await this.findMeme(memeId, chainId);
+        if (meme.moderation.status === 'removed') {
+            throw new ModerationError('Meme has been removed', 410);
+        }
+
+        try {
+            await MemeReport.create({ memeId: meme._id, reporter, reason, details });
+        } catch (error) {
+            if (error.code === 11000) {
+                throw new ModerationError('You already reported this meme', 409);
+            }
+            throw error;
+        }
+
+        let updated = await Meme.findByIdAndUpdate(
+            meme._id,
+            { $inc: { 'moderation.reportCount': 1 }, $unset: { 'moderation.reviewedAt': 1 } },
+            { new: true }
+        );
+
+        if (updated.moderation.reportCount >= this.reportThreshold && updated.moderation.status === 'pending') {
+            updated = await this.autoHide(updated._id);
+            log.info('Meme hidden after reports', { memeId, reportCount: updated.moderation.reportCount });
+        }
+
+        return { memeId, reportCount: updated.moderation.reportCount, status: updated.moderation.status };
+    }
+
+    async autoHide(memeId) {
+        return await Meme.findOneAndUpdate(
+            // Memes stored before moderation existed have no status yet
+            { _id: memeId, 'moderation.status': { $in: ['pending', null] } },
+            { 'moderation.status': 'hidden', 'moderation.autoHiddenAt': new Date() },
+            { new: true }
+        ) || await Meme.findById(memeId);
+    }
+
+    // Run a newly recorded meme through the classifier, flagged memes are hidden until reviewed
+    async screen(meme, content) {
+        const result = await this.classifier.classify({ cid: meme.cid, content });
+
+        await Meme.updateOne(
+            { _id: meme._id },
+            {
+                'moderation.flagged': result.flagged,
+                'moderation.label': result.label,
+                'moderation.score': result.score,
+                'moderation.screenedAt': new Date()
+            }
+        );
+
+        if (result.flagged) {
+            await this.autoHide(meme._id);
+            log.info('Meme flagged by classifier', { memeId: meme._id, label: result.label, score: result.score });
+        }
+
+        return result;
+    }
+
+    // A moderator's decision, which takes the meme out of the queue
+    async moderate(memeId, chainId, status, reviewer, note) {
+        if (!STATUSES.includes(status) || status === 'pending') {
+            throw new ModerationError('status must be one of: approved, hidden, removed');
+        }
+
+        const meme = await this.findMeme(memeId, chainId);
+        return await Meme.findByIdAndUpdate(
+            meme._id,
+            {
+                'moderation.status': status,
+                'moderation.reviewedBy': reviewer,
+                'moderation.reviewedAt': new Date(),
+                'moderation.note': note
+            },
+            { new: true }
+        );
+    }
+
+    // Unreviewed memes on one chain that were reported or flagged, most reported first
+    async getQueue({ chainId, status, page = 1, limit = 50 }) {
+        if (status !== undefined && !STATUSES.includes(status)) {
+            throw new ModerationError(`status must be one of: ${STATUSES.join(', ')}`);
+        }
+
+        const pageSize = Math.min(Math.max(Number(limit) || 50, 1), MAX_PAGE_SIZE);
+        const pageNumber = Math.max(Number(page) || 1, 1);
+        const filter = {
+            chainId,
+            'moderation.reviewedAt': null,
+            $or: [{ 'moderation.reportCount': { $gt: 0 } }, { 'moderation.flagged': true }]
+        };
+        if (status) {
+            filter['moderation.status'] = status;
+        }
+
+        const [total, memes] = await Promise.all([
+            Meme.countDocuments(filter),
+            Meme.find(filter)
+                .sort({ 'moderation.reportCount': -1, createdAt: 1 })
+                .skip((pageNumber - 1) * pageSize)
+                .limit(pageSize)
+        ]);
+
+        return { memes, page: pageNumber, limit: pageSize, total };
+    }
+
+    async getReports(memeId, chainId) {
+        const meme = await this.findMeme(memeId, chainId);
+        const reports = await MemeReport.find({ memeId: meme._id }).sort({ createdAt: -1 });
+        return { meme, reports };
+    }
+}
+
+ModerationService.STATUSES = STATUSES;
+ModerationService.REASONS = REASONS;
+ModerationService.ModerationError = ModerationError;
+
+module.exports = ModerationService;
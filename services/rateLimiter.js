@@ -0,0 +1,47 @@
+// server/services/rateLimiter.js
+
+// Fixed-window, in-memory request limiter
+class RateLimiter {
+    constructor({ windowMs, max, keyFn = (req) => req.ip }) {
+        this.windowMs = windowMs;
+        this.max = max;
+        this.keyFn = keyFn;
+        this.hits = new Map(); // key -> { count, resetAt }
+    }
+
+    // Count a hit, returns the seconds to wait when over the limit
+    hit(key) {
+        const now = Date.now();
+        let entry = this.hits.get(key);
+
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + this.windowMs };
+            this.hits.set(key, entry);
+            this.prune(now);
+        }
+
+        entry.count++;
+        return entry.count > this.max ? Math.ceil((entry.resetAt - now) / 1000) : 0;
+    }
+
+    prune(now) {
+        for (const [key, entry] of this.hits) {
+            if (entry.resetAt <= now) {
+                this.hits.delete(key);
+            }
+        }
+    }
+
+    middleware() {
+        return (req, res, next) => {
+            const retryAfter = this.hit(this.keyFn(req));
+            if (retryAfter > 0) {
+                res.set('Retry-After', String(retryAfter));
+                return res.status(429).json({ message: "Too many requests", retryAfter });
+            }
+            next();
+        };
+    }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,388 @@
+// server/services/reconciliationService.js
+const cron = require('node-cron');
+const { Market } = require('../models/Market');
+const { RelayJob } = require('../models/RelayJob');
+const TransactionManager = require('./txManager');
+const { SettlementRecord, UserVote } = require('../models/Settlement');
+const { ReconciliationReport } = require('../models/Reconciliation');
+const RedisLock = require('./lockService');
+const { logger } = require('./logger');
+
+const MAX_PENDING_PER_RUN = 500;
+const MAX_PAGE_SIZE = 100;
+// How long a vote sent by the client is followed before the scheduled run takes over
+const TRACK_VOTE_WAIT_MS = 2 * 60 * 1000;
+
+// Confirms pending votes from their receipts and compares stored votes and
+// settlements with the chain, fixing what it can and reporting the rest
+class ReconciliationService {
+    constructor(deployment) {
+        this.chainId = deployment.chainId;
+        this.log = logger.child({ service: 'reconciliation', chainId: deployment.chainId });
+        this.provider = deployment.provider;
+        this.contract = deployment.contract;
+        this.contractAddress = deployment.chain.contractAddress;
+        this.startBlock = deployment.chain.startBlock;
+        this.relayers = deployment.relayerPool;
+        this.settlementService = deployment.settlementService;
+        this.eventIndexer = deployment.eventIndexer;
+        this.cronExpression = process.env.RECONCILE_CRON || '*/30 * * * *';
+        // A vote with no receipt after this long is treated as dropped
+        this.pendingTimeoutMs = Number(process.env.VOTE_PENDING_TIMEOUT_MS) || 30 * 60 * 1000;
+        // Markets that ended within this window (or are still open) are compared with the chain
+        this.lookbackMs = Number(process.env.RECONCILE_LOOKBACK_MS) || 2 * 24 * 60 * 60 * 1000;
+        this.lock = new RedisLock(`reconcile:${this.chainId}`);
+        this.lockTtlMs = 30 * 60 * 1000;
+        this.isRunning = false;
+
+        this.trackJobs();
+    }
+
+    // Decide relayed votes as soon as their relay job is mined or fails
+    trackJobs() {
+        const decide = async (job) => {
+            if (job.action !== 'vote') return;
+            try {
+                const vote = await UserVote.findOne({ chainId: this.chainId, relayJobId: job.jobId });
+                if (vote) {
+                    await this.confirmVote(vote);
+                }
+            } catch (error) {
+                this.log.error('Failed to update relayed vote', { jobId: job.jobId, error });
+            }
+        };
+
+        this.relayers.on('mined', decide);
+        this.relayers.on('failed', decide);
+    }
+
+    // Follow a vote sent by the client for a short while, votes still undecided
+    // after that are left to the scheduled run
+    async trackVote(vote) {
+        try {
+            const timeoutMs = Math.min(TRACK_VOTE_WAIT_MS, this.pendingTimeoutMs);
+            await this.provider.waitForTransaction(vote.transactionHash, 1, timeoutMs);
+        } catch (error) {
+            // Timed out, confirmVote leaves it pending until it is stale
+        }
+        return await this.confirmVote(vote);
+    }
+
+    start() {
+        this.log.info('Starting reconciliation', { schedule: this.cronExpression });
+
+        cron.schedule(this.cronExpression, async () => {
+            if (this.isRunning) {
+                return;
+            }
+
+            try {
+                await this.run('schedule');
+            } catch (error) {
+                this.log.error('Reconciliation error', { error });
+            }
+        });
+    }
+
+    // One run across every instance, returns the stored report (null if another run holds the lock)
+    async run(trigger = 'manual') {
+        const token = await this.lock.acquire('run', this.lockTtlMs);
+        if (!token) {
+            return null;
+        }
+
+        this.isRunning = true;
+        const drift = { fixed: [], unresolved: [] };
+        let report = null;
+
+        // The lock is released even when the report can't be created or saved
+        try {
+            report = await ReconciliationReport.create({ chainId: this.chainId, trigger });
+            report.pendingVotesChecked = await this.checkPendingVotes(drift);
+            report.marketsChecked = await this.reconcileMarkets(drift);
+            report.status = 'completed';
+        } catch (error) {
+            if (!report) {
+                throw error;
+            }
+            report.status = 'failed';
+            report.error = error.message;
+            this.log.error('Reconciliation run failed', { error });
+        } finally {
+            try {
+                if (report) {
+                    report.fixed = drift.fixed;
+                    report.unresolved = drift.unresolved;
+                    report.finishedAt = new Date();
+                    await report.save();
+                }
+            } finally {
+                await this.lock.release('run', token);
+                this.isRunning = false;
+            }
+        }
+
+        if (drift.fixed.length > 0 || drift.unresolved.length > 0) {
+            this.log.info('Reconciliation drift', { fixed: drift.fixed.length, unresolved: drift.unresolved.length });
+        }
+        return report;
+    }
+
+    // Votes still waiting for a receipt, oldest first.
+    // Votes stored before vote tracking have no status yet.
+    async checkPendingVotes(drift) {
+        const pending = await UserVote.find({ chainId: this.chainId, status: { $in: ['pending', null] } })
+            .sort({ votedAt: 1 })
+            .limit(MAX_PENDING_PER_RUN);
+
+        for (const vote of pending) {
+            const change = await this.confirmVote(vote);
+            if (change) {
+                drift.fixed.push(change);
+            }
+        }
+        return pending.length;
+    }
+
+    // Decide a pending vote from its relay job and transaction receipt.
+    // Returns the change made, or null while it is still undecided.
+    async confirmVote(vote) {
+        const stale = Date.now() - vote.votedAt.getTime() > this.pendingTimeoutMs;
+
+        // Seen by the indexer before votes had a status
+        if (vote.blockNumber) {
+            return await this.markVote(vote, 'confirmed', { detail: 'Indexed VoteCast' });
+        }
+
+        let txHash = vote.transactionHash;
+        if (vote.relayJobId) {
+            const job = await RelayJob.findOne({ jobId: vote.relayJobId });
+            if (!job) {
+                return stale ? await this.markVote(vote, 'reverted', { error: 'Relay job not found' }) : null;
+            }
+            if (job.status === 'failed' && !job.txHash) {
+                return await this.markVote(vote, 'reverted', { error: job.error || 'Relay job failed' });
+            }
+            if (!TransactionManager.TERMINAL_STATUSES.includes(job.status)) {
+                // The transaction manager keeps re-sending it until it lands
+                return null;
+            }
+            txHash = job.txHash;
+        }
+
+        if (!txHash) {
+            return stale ? await this.markVote(vote, 'reverted', { error: 'No transaction hash' }) : null;
+        }
+
+        const receipt = await this.provider.getTransactionReceipt(txHash);
+        if (!receipt) {
+            return stale ? await this.markVote(vote, 'reverted', { error: 'Transaction not found' }) : null;
+        }
+        if (receipt.status !== 1) {
+            return await this.markVote(vote, 'reverted', { error: 'Transaction reverted' });
+        }
+
+        const cast = this.findVoteCast(receipt, vote.marketId, vote.userAddress);
+        if (!cast) {
+            return await this.markVote(vote, 'reverted', { error: 'Transaction has no matching VoteCast' });
+        }
+
+        // Stake as of the vote's block, the same value the indexer stores for it
+        return await this.markVote(vote, 'confirmed', {
+            vote: cast.vote,
+            stakeAmount: (await this.eventIndexer.voteCostAt(receipt.blockNumber)).toString(),
+            transactionHash: receipt.hash,
+            blockNumber: receipt.blockNumber
+        });
+    }
+
+    // VoteCast for this market and voter in a receipt, if any
+    findVoteCast(receipt, marketId, voter) {
+        for (const log of receipt.logs) {
+            if (log.address.toLowerCase() !== this.contractAddress.toLowerCase()) continue;
+
+            const event = this.contract.interface.parseLog(log);
+            if (event && event.name === 'VoteCast' &&
+                Number(event.args.marketId) === Number(marketId) &&
+                event.args.voter.toLowerCase() === voter.toLowerCase()) {
+                return { vote: event.args.vote ? 'funny' : 'lame' };
+            }
+        }
+        return null;
+    }
+
+    async markVote(vote, status, { error, detail, ...fields } = {}) {
+        const update = status === 'confirmed'
+            ? { status, confirmedAt: new Date(), ...fields, $unset: { error: 1 } }
+            : { status, error, ...fields };
+        await UserVote.updateOne({ _id: vote._id }, update);
+
+        return {
+            type: `vote-${status}`,
+            marketId: vote.marketId,
+            userAddress: vote.userAddress,
+            detail: error || detail || (fields.vote && fields.vote !== vote.vote ? `Side corrected to ${fields.vote}` : undefined)
+        };
+    }
+
+    // Open and recently ended markets against their on-chain state
+    async reconcileMarkets(drift) {
+        const since = new Date(Date.now() - this.lookbackMs);
+        const markets = await Market.find({
+            chainId: this.chainId,
+            $or: [{ isSettled: false }, { endTime: { $gte: since } }]
+        }).select('marketId isSettled');
+
+        const states = await this.settlementService.readMarkets(markets.map(market => market.marketId));
+        const blockTimes = new Map();
+
+        for (const [index, [marketId, state]] of states.entries()) {
+            const [creator, endTime, yesVotes, noVotes, totalStaked, isActive] = state;
+            const chain = { yesVotes: Number(yesVotes), noVotes: Number(noVotes), isActive };
+
+            await this.reconcileVotes(marketId, chain, drift, blockTimes);
+            await this.reconcileSettlement(markets[index], chain, drift, blockTimes);
+        }
+
+        return markets.length;
+    }
+
+    // Compare confirmed votes with the market's tally, and with VoteCast logs when they differ
+    async reconcileVotes(marketId, chain, drift, blockTimes) {
+        const stored = await UserVote.find({ chainId: this.chainId, marketId });
+        const confirmed = stored.filter(vote => vote.status === 'confirmed');
+        const confirmedYes = confirmed.filter(vote => vote.vote === 'funny').length;
+        if (confirmedYes === chain.yesVotes && confirmed.length - confirmedYes === chain.noVotes) {
+            return;
+        }
+
+        const logs = await this.contract.queryFilter(this.contract.filters.VoteCast(marketId), this.startBlock);
+        const onChain = new Map(logs.map(log => [log.args.voter.toLowerCase(), log]));
+        const byVoter = new Map(stored.map(vote => [vote.userAddress.toLowerCase(), vote]));
+
+        for (const [voter, log] of onChain) {
+            const vote = byVoter.get(voter);
+            const side = log.args.vote ? 'funny' : 'lame';
+            if (vote && vote.status === 'confirmed' && vote.vote === side) continue;
+
+            // Same upsert the indexer does, also confirms a pending or reverted record
+            await this.eventIndexer.onVoteCast(log.args, log, await this.blockTime(log.blockNumber, blockTimes));
+            let type = 'vote-missing';
+            if (vote) {
+                type = vote.status === 'confirmed' ? 'vote-side' : 'vote-confirmed';
+            }
+            drift.fixed.push({ type, marketId, userAddress: log.args.voter, detail: `${side} in ${log.transactionHash}` });
+        }
+
+        for (const [voter, vote] of byVoter) {
+            if (vote.status !== 'confirmed' || onChain.has(voter)) continue;
+
+            await UserVote.updateOne({ _id: vote._id }, { status: 'reverted', error: 'No VoteCast on-chain' });
+            drift.fixed.push({ type: 'vote-not-on-chain', marketId, userAddress: vote.userAddress });
+        }
+
+        // Logs and tally should always agree, if not the RPC is missing logs
+        if (onChain.size !== chain.yesVotes + chain.noVotes) {
+            drift.unresolved.push({
+                type: 'vote-count-mismatch',
+                marketId,
+                detail: `${onChain.size} VoteCast logs, tally ${chain.yesVotes}/${chain.noVotes}`
+            });
+        }
+    }
+
+    // A market that left the active state on-chain must have a settlement record that matches it
+    async reconcileSettlement(market, chain, drift, blockTimes) {
+        const { marketId } = market;
+        const record = await SettlementRecord.findOne({ chainId: this.chainId, marketId });
+
+        if (chain.isActive) {
+            if (market.isSettled || record) {
+                drift.unresolved.push({
+                    type: 'settled-in-database-only',
+                    marketId,
+                    detail: 'Market is still active on-chain'
+                });
+            }
+            return;
+        }
+
+        if (!market.isSettled || !record) {
+            const [log] = await this.contract.queryFilter(
+                this.contract.filters.RewardsDistributed(marketId),
+                this.startBlock
+            );
+            if (!log) {
+                drift.unresolved.push({
+                    type: 'settlement-event-missing',
+                    marketId,
+                    detail: 'Market is inactive on-chain but has no RewardsDistributed log'
+                });
+                return;
+            }
+
+            await this.eventIndexer.onRewardsDistributed(log.args, log, await this.blockTime(log.blockNumber, blockTimes));
+            drift.fixed.push({ type: 'settlement-missing', marketId, detail: log.transactionHash });
+            return;
+        }
+
+        // Votes are frozen once settled, so the record must match the current tally
+        if (record.yesVotes !== chain.yesVotes || record.noVotes !== chain.noVotes) {
+            const receipt = await this.provider.getTransactionReceipt(record.settlementTx);
+            if (!receipt) {
+                drift.unresolved.push({
+                    type: 'settlement-tx-missing',
+                    marketId,
+                    detail: `Settlement tx ${record.settlementTx} not found`
+                });
+                return;
+            }
+
+            await this.settlementService.storeSettlementRecord(marketId, record.settlementTx, receipt, record.settledAt);
+            drift.fixed.push({
+                type: 'settlement-stale',
+                marketId,
+                detail: `Tally was ${record.yesVotes}/${record.noVotes}, chain has ${chain.yesVotes}/${chain.noVotes}`
+            });
+        }
+    }
+
+    async blockTime(blockNumber, cache) {
+        if (!cache.has(blockNumber)) {
+            const block = await this.provider.getBlock(blockNumber);
+            cache.set(blockNumber, new Date(block.timestamp * 1000));
+        }
+        return cache.get(blockNumber);
+    }
+
+    // Latest reports first, optionally only those with unresolved drift
+    async getReports({ unresolvedOnly, page = 1, limit = 20 } = {}) {
+        const pageSize = Math.min(Math.max(Number(limit) || 20, 1), MAX_PAGE_SIZE);
+        const pageNumber = Math.max(Number(page) || 1, 1);
+        const filter = { chainId: this.chainId };
+        if (unresolvedOnly === 'true' || unresolvedOnly === true) {
+            filter['unresolved.0'] = { $exists: true };
+        }
+
+        const [total, reports] = await Promise.all([
+            ReconciliationReport.countDocuments(filter),
+            ReconciliationReport.find(filter)
+                .sort({ startedAt: -1 })
+                .skip((pageNumber - 1) * pageSize)
+                .limit(pageSize)
+        ]);
+
+        return { reports, page: pageNumber, limit: pageSize, total };
+    }
+
+    // How many votes are in each status
+    async getVoteSummary() {
+        const counts = await UserVote.aggregate([
+            { $match: { chainId: this.chainId } },
+            { $group: { _id: { $ifNull: ['$status', 'pending'] }, count: { $sum: 1 } } }
+        ]);
+        return Object.fromEntries(counts.map(({ _id, count }) => [_id, count]));
+    }
+}
+
+module.exports = ReconciliationService;
@@ -0,0 +1,217 @@
+// server/services/relayerPool.js
+const cron = require('node-cron');
+const EventEmitter = require('events');
+const { ethers } = require('ethers');
+const TransactionManager = require('./txManager');
+const { logger } = require('./logger');
+
+class RelayerPoolError extends Error {
+    constructor(message, status = 503) {
+        super(message);
+        this.name = 'RelayerPoolError';
+        this.status = status;
+    }
+}
+
+// One pool per chain, the same relayer keys are used on every chain
+const pools = new Map();
+
+// Spreads relayed transactions over several funded wallets
+class RelayerPool extends EventEmitter {
+    constructor(privateKeys, provider, chainId) {
+        super();
+        if (privateKeys.length === 0) {
+            throw new RelayerPoolError('No relayer private keys configured', 500);
+        }
+
+        this.provider = provider;
+        this.chainId = chainId;
+        this.log = logger.child({ service: 'relayerPool', chainId });
+        this.strategy = process.env.RELAYER_STRATEGY || 'round-robin'; // or 'least-busy'
+        this.lowWaterMark = ethers.parseEther(process.env.RELAYER_LOW_WATER_ETH || '0.01');
+        this.nextIndex = 0;
+        this.isMonitoring = false;
+
+        this.relayers = privateKeys.map((key) => {
+            const wallet = new ethers.Wallet(key, provider);
+            return {
+                address: wallet.address,
+                wallet,
+                manager: TransactionManager.forWallet(wallet, chainId),
+                balance: null,
+                healthy: true, // assumed until the first balance check says otherwise
+                inFlight: 0,
+                lastError: null,
+                lastErrorAt: null,
+                lastCheckedAt: null
+            };
+        });
+
+        for (const relayer of this.relayers) {
+            this.forwardEvents(relayer);
+        }
+    }
+
+    // Pool for a chain from the config layer, built from RELAYER_PRIVATE_KEYS
+    // (comma separated), falling back to PRIVATE_KEY
+    static forChain(chain, provider) {
+        if (!pools.has(chain.chainId)) {
+            const keys = (process.env.RELAYER_PRIVATE_KEYS || process.env.PRIVATE_KEY || '')
+                .split(',')
+                .map(key => key.trim())
+                .filter(Boolean);
+            pools.set(chain.chainId, new RelayerPool(keys, provider, chain.chainId));
+        }
+        return pools.get(chain.chainId);
+    }
+
+    async start() {
+        this.log.info('Starting relayer pool', { wallets: this.relayers.length, strategy: this.strategy });
+
+        for (const relayer of this.relayers) {
+            await relayer.manager.start();
+            relayer.inFlight = await relayer.manager.countInFlight();
+        }
+        await this.checkBalances();
+
+        cron.schedule('* * * * *', async () => {
+            if (this.isMonitoring) {
+                return;
+            }
+
+            this.isMonitoring = true;
+            try {
+                await this.checkBalances();
+            } finally {
+                this.isMonitoring = false;
+            }
+        });
+
+        this.log.info('Relayer pool started');
+    }
+
+    async close() {
+        await Promise.all(this.relayers.map(relayer => relayer.manager.close()));
+    }
+
+    // Re-emit job events from every wallet and keep per-relayer counters
+    forwardEvents(relayer) {
+        relayer.manager.on('queued', (job) => {
+            relayer.inFlight++;
+            this.emit('queued', job);
+        });
+        relayer.manager.on('sent', (job) => this.emit('sent', job));
+        relayer.manager.on('mined', (job) => {
+            relayer.inFlight = Math.max(0, relayer.inFlight - 1);
+            this.checkBalance(relayer);
+            this.emit('mined', job);
+        });
+        relayer.manager.on('failed', (job) => {
+            relayer.inFlight = Math.max(0, relayer.inFlight - 1);
+            relayer.lastError = job.error;
+            relayer.lastErrorAt = new Date();
+            if (job.error && job.error.includes('insufficient funds')) {
+                relayer.healthy = false;
+            }
+            this.emit('failed', job);
+        });
+    }
+
+    async checkBalances() {
+        await Promise.all(this.relayers.map(relayer => this.checkBalance(relayer)));
+    }
+
+    async checkBalance(relayer) {
+        try {
+            relayer.balance = await this.provider.getBalance(relayer.address);
+            relayer.lastCheckedAt = new Date();
+
+            const healthy = relayer.balance >= this.lowWaterMark;
+            if (relayer.healthy && !healthy) {
+                this.log.warn('Relayer below the low-water mark, skipping it', {
+                    wallet: relayer.address,
+                    balance: ethers.formatEther(relayer.balance)
+                });
+            } else if (!relayer.healthy && healthy) {
+                this.log.info('Relayer funded again', { wallet: relayer.address });
+            }
+            relayer.healthy = healthy;
+        } catch (error) {
+            relayer.lastError = error.message;
+            relayer.lastErrorAt = new Date();
+            this.log.error('Relayer balance check failed', { wallet: relayer.address, error: error.message });
+        }
+    }
+
+    // Choose a funded relayer according to the configured strategy
+    pick() {
+        const available = this.relayers.filter(relayer => relayer.healthy);
+        if (available.length === 0) {
+            throw new RelayerPoolError('No funded relayer available');
+        }
+
+        if (this.strategy === 'least-busy') {
+            return available.reduce((best, relayer) => relayer.inFlight < best.inFlight ? relayer : best);
+        }
+
+        const relayer = available[this.nextIndex % available.length];
+        this.nextIndex = (this.nextIndex + 1) % available.length;
+        return relayer;
+    }
+
+    // Estimate on the chosen relayer, so reverts surface here, then queue it there
+    async submit(request) {
+        const relayer = this.pick();
+
+        await relayer.wallet.estimateGas({
+            to: request.to,
+            data: request.data,
+            value: request.value
+        });
+
+        return await relayer.manager.submit(request);
+    }
+
+    async submitCall(contract, method, args, { value = 0n, action = method, meta = {} } = {}) {
+        return await this.submit({
+            action,
+            to: await contract.getAddress(),
+            data: contract.interface.encodeFunctionData(method, args),
+            value,
+            meta
+        });
+    }
+
+    getManager(address) {
+        const relayer = this.relayers.find(r => r.address === address);
+        return relayer ? relayer.manager : null;
+    }
+
+    async getJob(jobId) {
+        return await this.relayers[0].manager.getJob(jobId);
+    }
+
+    async waitForJob(jobId) {
+        const job = await this.getJob(jobId);
+        if (!job) {
+            throw new RelayerPoolError(`Relay job ${jobId} not found`, 404);
+        }
+        return await this.getManager(job.wallet).waitForJob(jobId);
+    }
+
+    getStatus() {
+        return this.relayers.map(relayer => ({
+            address: relayer.address,
+            balance: relayer.balance === null ? null : ethers.formatEther(relayer.balance),
+            healthy: relayer.healthy,
+            pending: relayer.inFlight,
+            lastError: relayer.lastError,
+            lastErrorAt: relayer.lastErrorAt,
+            lastCheckedAt: relayer.lastCheckedAt
+        }));
+    }
+}
+
+RelayerPool.RelayerPoolError = RelayerPoolError;
+
+module.exports = RelayerPool;
@@ -1,26 +1,94 @@
 // server/services/settlementService.js
+const os = require('os');
 const cron = require('node-cron');
-const { ethers, Contract } = require('ethers');
-const { SettlementRecord } = require('../models/Settlement');
-const CONTRACT = require('../FunnyOrFud.json');
-
-class AutoSettlementService {
-    constructor() {
-        this.provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-        this.relayerWallet = new ethers.Wallet(process.env.PRIVATE_KEY, this.provider);
-        this.contractAddress = "0xbCD7cd28A214772A8E785E1f2E0ca19f01FdCEf4";
-        this.contract = new Contract(this.contractAddress, CONTRACT.abi, this.relayerWallet);
+const EventEmitter = require('events');
+const Queue = require('bull');
+const { ethers } = require('ethers');
+const { SettlementRecord, UserVote } = require('../models/Settlement');
+const { Market } = require('../models/Market');
+const { SettlementAttempt, SettlementDeadLetter } = require('../models/SettlementAttempt');
+const RelayerPool = require('./relayerPool');
+const RedisLock = require('./lockService');
+const { logger } = require('./logger');
+const { settlementAttempts, settlementDeadLetters } = require('./metrics');
+
+// Settles one deployment's markets.
+// Emits 'market-ending', 'market-ended' and 'settled' as markets progress
+class AutoSettlementService extends EventEmitter {
+    constructor(deployment) {
+        super();
+        this.chainId = deployment.chainId;
+        this.log = logger.child({ service: 'settlement', chainId: deployment.chainId });
+        this.relayers = deployment.relayerPool;
+        this.provider = deployment.provider;
+        this.contractAddress = deployment.chain.contractAddress;
+        this.contract = deployment.contract;
+        this.cache = deployment.contractCache;
+        this.startBlock = deployment.chain.startBlock;
+        this.endingSoonSeconds = Number(process.env.MARKET_ENDING_SOON_SECONDS) || 10 * 60;
+        this.redisUrl = process.env.REDIS_URL || 'redis://127.0.0.1:6379';
+        this.maxAttempts = Number(process.env.SETTLEMENT_MAX_ATTEMPTS) || 5;
+        this.backoffMs = Number(process.env.SETTLEMENT_BACKOFF_MS) || 30 * 1000;
+        this.lockTtlMs = Number(process.env.SETTLEMENT_LOCK_TTL_MS) || 10 * 60 * 1000;
+        this.lock = new RedisLock(`settlement:${this.chainId}`);
+        this.workerId = `${os.hostname()}:${process.pid}`;
+        this.rpcBatchSize = Number(process.env.RPC_BATCH_SIZE) || 50;
+        this.settleGraceMs = Number(process.env.SETTLEMENT_GRACE_MS) || 15 * 1000;
+        this.openMarkets = new Map(); // marketId -> endTime (unix seconds)
+        this.announcedEnding = new Set(); // markets market-ending was already emitted for
+        this.knownMarketCount = 0;
+        this.indexSeeded = false;
+        this.queue = null;
+        this.isStarted = false;
         this.isRunning = false;
+        this.startedAt = null;
+        this.lastSweepAt = null; // last sweep that completed without error
+        this.lastSweepError = null;
+    }
+
+    getQueue() {
+        if (!this.queue) {
+            this.queue = new Queue(`market-settlement:${this.chainId}`, this.redisUrl);
+        }
+        return this.queue;
+    }
+
+    // Close the queue and lock connections (scripts that construct the service)
+    async close() {
+        if (this.queue) {
+            await this.queue.close();
+            this.queue = null;
+        }
+        await this.lock.close();
     }
 
     // Start the automatic settlement service
     start() {
-        console.log('🚀 Starting Auto-Settlement Service...');
+        this.log.info('Starting auto-settlement service');
+
+        this.isStarted = true;
+        this.startedAt = new Date();
+        const queue = this.getQueue();
+        queue.process((job) => this.processSettlementJob(job));
+        queue.on('failed', async (job, error) => {
+            if (job.attemptsMade < job.opts.attempts) {
+                return;
+            }
+            try {
+                await this.deadLetter(job.data.marketId, job.attemptsMade, error.message);
+            } catch (err) {
+                this.log.error('Failed to dead-letter market', { marketId: job.data.marketId, error: err });
+            }
+        });
         
-        // Check every 5 minutes for settlements
+        // Check every 5 minutes for new markets and anything whose scheduled job was missed
         cron.schedule('*/5 * * * *', async () => {
+            if (await this.isPaused()) {
+                this.log.info('Auto-settlement paused, skipping sweep');
+                return;
+            }
             if (this.isRunning) {
-                console.log('⏳ Settlement check already in progress, skipping...');
+                this.log.info('Settlement sweep already in progress, skipping');
                 return;
             }
             
@@ -28,173 +96,497 @@ class AutoSettlementService {
             try {
                 await this.checkAndSettleMarkets();
             } catch (error) {
-                console.error('🚨 Auto-settlement error:', error);
+                this.log.error('Auto-settlement error', { error });
             } finally {
                 this.isRunning = false;
             }
         });
 
-        console.log('✅ Auto-Settlement Service started successfully');
+        this.log.info('Auto-settlement service started');
     }
 
-    // Main settlement logic
+    // Main settlement logic: pick up new markets, then queue every open market
+    // that has ended (normally its delayed job already fired at endTime)
     async checkAndSettleMarkets() {
-        console.log('🔍 Checking for markets to settle...');
+        this.log.debug('Checking for markets to settle');
 
         try {
-            const marketCount = await this.contract.marketCount();
-            console.log(`📊 Total markets: ${marketCount}`);
+            await this.refreshMarketIndex();
 
-            // If no markets exist yet, skip settlement
-            if (marketCount === 0n || marketCount === 0) {
-                console.log('📝 No markets found, skipping settlement check');
-                return;
-            }
+            const now = Math.floor(Date.now() / 1000);
+            let queuedCount = 0;
 
-            let settledCount = 0;
+            for (const [marketId, endTime] of this.openMarkets) {
+                const timeLeft = endTime - now;
 
-            for (let i = 0; i < marketCount; i++) {
-                try {
-                    const market = await this.contract.getMarket(i);
-                    const [creator, endTime, yesVotes, noVotes, totalStaked, isActive, metadata, memes] = market;
-                    
-                    // Skip if already settled
-                    if (!isActive) {
-                        continue;
-                    }
-                    
-                    const now = Math.floor(Date.now() / 1000);
-                    const timeLeft = Number(endTime) - now;
-                    
-                    // Check if 6 hours have passed
-                    if (timeLeft <= 0) {
-                        console.log(`⚡ Settling market ${i} (${timeLeft}s overdue)...`);
-                        
-                        const settled = await this.settleMarket(i, market);
-                        if (settled) {
-                            settledCount++;
-                        }
-                    } else {
-                        console.log(`⏰ Market ${i}: ${Math.floor(timeLeft / 3600)}h ${Math.floor((timeLeft % 3600) / 60)}m remaining`);
+                if (timeLeft <= 0) {
+                    if (await this.enqueueSettlement(marketId)) {
+                        this.log.info('Queued overdue settlement', { marketId, overdueSeconds: -timeLeft });
+                        queuedCount++;
                     }
-                    
-                } catch (error) {
-                    console.error(`❌ Error processing market ${i}:`, error.message);
+                } else if (timeLeft <= this.endingSoonSeconds && !this.announcedEnding.has(marketId)) {
+                    // Sweeps run more often than the window is long, announce each market once
+                    this.announcedEnding.add(marketId);
+                    this.emit('market-ending', { marketId, timeLeft, endTime });
                 }
             }
-            
-            if (settledCount > 0) {
-                console.log(`🎉 Successfully settled ${settledCount} markets`);
-            } else {
-                console.log('✨ No markets ready for settlement');
+            for (const marketId of this.announcedEnding) {
+                if (!this.openMarkets.has(marketId)) {
+                    this.announcedEnding.delete(marketId);
+                }
             }
             
+            this.log.info('Settlement sweep finished', { openMarkets: this.openMarkets.size, queued: queuedCount });
+
+            this.lastSweepAt = new Date();
+            this.lastSweepError = null;
         } catch (error) {
-            console.error('🚨 Failed to check markets:', error);
+            this.lastSweepError = error.message;
+            this.log.error('Failed to check markets', { error });
         }
     }
 
-    // Settle individual market
-    async settleMarket(marketId, marketData) {
+    // Bring the open-market index up to date, reading only markets created since the last scan
+    async refreshMarketIndex() {
+        if (!this.indexSeeded) {
+            // Start from what the event indexer already knows
+            const open = await Market.find({ chainId: this.chainId, isSettled: false }).select('marketId endTime');
+            for (const market of open) {
+                await this.trackMarket(market.marketId, Math.floor(market.endTime.getTime() / 1000));
+            }
+
+            const latest = await Market.findOne({ chainId: this.chainId }).sort({ marketId: -1 }).select('marketId');
+            this.knownMarketCount = latest ? latest.marketId + 1 : 0;
+            this.indexSeeded = true;
+        }
+
+        const marketCount = Number(await this.contract.marketCount());
+        if (marketCount <= this.knownMarketCount) {
+            return;
+        }
+
+        const ids = [];
+        for (let i = this.knownMarketCount; i < marketCount; i++) {
+            ids.push(i);
+        }
+
+        const markets = await this.readMarkets(ids);
+        for (const [marketId, market] of markets) {
+            const [creator, endTime, yesVotes, noVotes, totalStaked, isActive] = market;
+            if (isActive) {
+                await this.trackMarket(marketId, Number(endTime));
+            }
+        }
+
+        this.log.info('Indexed new markets', { count: ids.length, marketCount });
+        this.knownMarketCount = marketCount;
+    }
+
+    // getMarket for many ids. Calls issued together are sent as one JSON-RPC
+    // batch by the ethers provider, so each chunk costs a single round trip.
+    async readMarkets(ids) {
+        const results = [];
+
+        for (let i = 0; i < ids.length; i += this.rpcBatchSize) {
+            const chunk = ids.slice(i, i + this.rpcBatchSize);
+            const markets = await Promise.all(chunk.map(id => this.contract.getMarket(id)));
+            chunk.forEach((id, index) => results.push([id, markets[index]]));
+        }
+
+        return results;
+    }
+
+    // Add an open market to the index and schedule its settlement for endTime
+    async trackMarket(marketId, endTime) {
+        this.openMarkets.set(marketId, endTime);
+
+        if (!this.isStarted) {
+            return;
+        }
+
+        const delay = Math.max(endTime * 1000 + this.settleGraceMs - Date.now(), 0);
         try {
-            const [creator, endTime, yesVotes, noVotes, totalStaked, isActive, metadata, memes] = marketData;
-            
-            console.log(`📈 Market ${marketId} Stats:`, {
-                yesVotes: Number(yesVotes),
-                noVotes: Number(noVotes),
-                totalStaked: ethers.formatEther(totalStaked),
-                creator: creator.slice(0, 8) + '...'
-            });
-            
-            // Estimate gas first
-            const gasEstimate = await this.contract.releaseRewards.estimateGas(marketId);
-            console.log(`⛽ Estimated gas: ${gasEstimate}`);
-            
-            // Execute settlement
-            const tx = await this.contract.releaseRewards(marketId, {
-                gasLimit: gasEstimate * BigInt(120) / BigInt(100) // Add 20% buffer
+            await this.enqueueSettlement(marketId, { delay });
+        } catch (error) {
+            this.log.error('Failed to schedule settlement', { marketId, error });
+        }
+    }
+
+    // One job per market: the job id dedupes scans from every instance.
+    // Jobs that used up their attempts stay failed (dead-lettered) until forced.
+    async enqueueSettlement(marketId, { force = false, delay = 0 } = {}) {
+        const queue = this.getQueue();
+        const jobId = `market-${marketId}`;
+
+        const existing = await queue.getJob(jobId);
+        if (existing) {
+            if (!force || !(await existing.isFailed())) {
+                return false;
+            }
+            await existing.remove();
+        }
+
+        await queue.add({ marketId }, {
+            jobId,
+            delay,
+            attempts: this.maxAttempts,
+            backoff: { type: 'exponential', delay: this.backoffMs },
+            removeOnComplete: true,
+            removeOnFail: false
+        });
+        return true;
+    }
+
+    // Queue worker: settle one market while holding its lock, recording the attempt
+    async processSettlementJob(job) {
+        const { marketId } = job.data;
+        const attempt = {
+            chainId: this.chainId,
+            marketId,
+            attempt: job.attemptsMade + 1,
+            worker: this.workerId,
+            startedAt: new Date()
+        };
+
+        const token = await this.lock.acquire(String(marketId), this.lockTtlMs);
+        if (!token) {
+            await this.recordAttempt(attempt, 'failed', { reason: 'locked', error: 'Settlement already in progress elsewhere' });
+            throw new Error(`Market ${marketId} is locked by another worker`);
+        }
+
+        try {
+            const market = await this.contract.getMarket(marketId);
+            const [creator, endTime, yesVotes, noVotes, totalStaked, isActive] = market;
+
+            if (!isActive) {
+                this.openMarkets.delete(marketId);
+                await this.recordAttempt(attempt, 'skipped', { reason: 'already settled' });
+                await this.resolveDeadLetter(marketId);
+                return { skipped: 'already settled' };
+            }
+            if (Number(endTime) > Math.floor(Date.now() / 1000)) {
+                await this.recordAttempt(attempt, 'skipped', { reason: 'not ended' });
+                return { skipped: 'not ended' };
+            }
+
+            const { txHash } = await this.executeSettlement(marketId, market);
+
+            await this.recordAttempt(attempt, 'succeeded', { settlementTx: txHash });
+            await this.resolveDeadLetter(marketId);
+            return { txHash };
+        } catch (error) {
+            await this.recordAttempt(attempt, 'failed', {
+                reason: this.classifyError(error),
+                error: error.message,
+                settlementTx: error.settlementTx
             });
-            
-            console.log(`📤 Settlement transaction sent: ${tx.hash}`);
-            
-            // Wait for confirmation
-            const receipt = await tx.wait();
-            console.log(`✅ Market ${marketId} settled successfully! Block: ${receipt.blockNumber}`);
-            
-            // Store settlement record
-            await this.storeSettlementRecord(marketId, marketData, tx.hash, receipt);
-            
+            throw error;
+        } finally {
+            await this.lock.release(String(marketId), token);
+        }
+    }
+
+    classifyError(error) {
+        if (error.settlementTx) return 'record failed';
+        if (error instanceof RelayerPool.RelayerPoolError) return 'no funded relayer';
+        if (error.message.includes('insufficient funds')) return 'insufficient funds';
+        if (error.message.includes('Market is still active')) return 'not ended';
+        if (error.message.includes('reverted')) return 'reverted';
+        return 'error';
+    }
+
+    async recordAttempt(attempt, status, details = {}) {
+        settlementAttempts.inc({ chain_id: this.chainId, status });
+        try {
+            await SettlementAttempt.create({ ...attempt, status, ...details, finishedAt: new Date() });
+        } catch (error) {
+            this.log.error('Failed to record settlement attempt', { marketId: attempt.marketId, error });
+        }
+    }
+
+    async deadLetter(marketId, attempts, lastError) {
+        settlementDeadLetters.inc({ chain_id: this.chainId });
+        this.log.error('Settlement moved to dead-letter list', { marketId, attempts, lastError });
+
+        await SettlementDeadLetter.findOneAndUpdate(
+            { chainId: this.chainId, marketId },
+            { attempts, lastError, deadAt: new Date(), resolvedAt: null },
+            { upsert: true }
+        );
+    }
+
+    async resolveDeadLetter(marketId) {
+        await SettlementDeadLetter.updateOne(
+            { chainId: this.chainId, marketId, resolvedAt: null },
+            { resolvedAt: new Date() }
+        );
+    }
+
+    async getDeadLetters({ includeResolved = false } = {}) {
+        const filter = includeResolved ? { chainId: this.chainId } : { chainId: this.chainId, resolvedAt: null };
+        return await SettlementDeadLetter.find(filter).sort({ deadAt: -1 });
+    }
+
+    async getAttempts(marketId) {
+        return await SettlementAttempt.find({ chainId: this.chainId, marketId }).sort({ startedAt: -1 });
+    }
+
+    // Settle individual market, logging instead of throwing
+    async settleMarket(marketId, marketData) {
+        try {
+            await this.executeSettlement(marketId, marketData);
             return true;
             
         } catch (error) {
-            console.error(`🚨 Failed to settle market ${marketId}:`, error.message);
-            
-            // Log specific error types
-            if (error.message.includes('Market is still active')) {
-                console.log(`⏰ Market ${marketId} not ready yet`);
-            } else if (error.message.includes('Market is not active')) {
-                console.log(`✨ Market ${marketId} already settled`);
-            } else if (error.message.includes('insufficient funds')) {
-                console.error('💸 Insufficient funds for settlement gas!');
-            }
+            const reason = error.message.includes('Market is not active')
+                ? 'already settled'
+                : this.classifyError(error);
+            this.log.error('Failed to settle market', { marketId, reason, error });
             
             return false;
         }
     }
 
-    // Store settlement record in database
-    async storeSettlementRecord(marketId, marketData, txHash, receipt) {
+    // Send releaseRewards, wait for it to be mined and store the record
+    async executeSettlement(marketId, marketData) {
+        const [creator, endTime, yesVotes, noVotes, totalStaked, isActive, metadata, memes] = marketData;
+        
+        this.log.info('Settling market', {
+            marketId,
+            yesVotes: Number(yesVotes),
+            noVotes: Number(noVotes),
+            totalStaked: ethers.formatEther(totalStaked),
+            creator
+        });
+        
+        // Execute settlement through the relayer pool (gas is estimated before queueing)
+        const job = await this.relayers.submitCall(this.contract, 'releaseRewards', [marketId], {
+            meta: { marketId }
+        });
+        
+        this.log.info('Settlement transaction queued', { marketId, jobId: job.jobId });
+        
+        // Wait for confirmation
+        const mined = await this.relayers.waitForJob(job.jobId);
+        const receipt = await this.provider.getTransactionReceipt(mined.txHash);
+        this.log.info('Market settled', { marketId, txHash: mined.txHash, blockNumber: receipt.blockNumber });
+
+        // Announced once the market is closed on-chain, so retries of this job
+        // (which skip markets that are no longer active) never repeat it
+        this.emit('market-ended', { marketId, yesVotes: Number(yesVotes), noVotes: Number(noVotes) });
+        
+        // Store settlement record. The market is settled on-chain either way, so a failure
+        // carries the tx hash for the attempt log and the indexer stores the record later
+        this.openMarkets.delete(marketId);
+        let record;
         try {
-            const [creator, endTime, yesVotes, noVotes, totalStaked, isActive, metadata, memes] = marketData;
-            
-            const totalVotes = Number(yesVotes) + Number(noVotes);
-            const winnerSide = Number(yesVotes) > Number(noVotes) ? 'funny' : 'lame';
-            const totalPool = Number(totalStaked);
-            const creatorReward = Math.floor(totalPool * 0.05);
-            const voterRewards = totalPool - creatorReward;
-            
-            const settlementRecord = new SettlementRecord({
-                marketId,
-                templateCreator: creator,
-                endTime: new Date(Number(endTime) * 1000),
-                totalVotes,
-                yesVotes: Number(yesVotes),
-                noVotes: Number(noVotes),
-                totalStaked: totalStaked.toString(),
-                winnerSide,
-                creatorReward: creatorReward.toString(),
-                voterRewards: voterRewards.toString(),
-                settlementTx: txHash,
-                blockNumber: receipt.blockNumber,
-                gasUsed: receipt.gasUsed.toString(),
-                settledAt: new Date()
+            record = await this.storeSettlementRecord(marketId, mined.txHash, receipt);
+        } catch (error) {
+            error.settlementTx = mined.txHash;
+            throw error;
+        }
+        this.emit('settled', { marketId, txHash: mined.txHash, record });
+        
+        return { txHash: mined.txHash, record };
+    }
+
+    // Store settlement record in database (upsert, the event indexer may get there first).
+    // The outcome comes from the chain: market state at the settlement block and
+    // the RewardsDistributed event in the receipt.
+    async storeSettlementRecord(marketId, txHash, receipt, settledAt = new Date()) {
+        const [creator, endTime, yesVotes, noVotes, totalStaked] =
+            await this.contract.getMarket(marketId, { blockTag: receipt.blockNumber });
+        
+        const totalVotes = Number(yesVotes) + Number(noVotes);
+        const winnerSide = this.getOutcome(Number(yesVotes), Number(noVotes));
+
+        const distributed = this.findRewardsDistributed(marketId, receipt);
+        const creatorReward = distributed
+            ? distributed.creatorReward
+            : await this.estimateCreatorReward(BigInt(totalStaked));
+        const voterRewards = BigInt(totalStaked) - creatorReward;
+
+        const participants = await this.computePayouts(marketId, winnerSide, voterRewards);
+        const market = await Market.findOne({ chainId: this.chainId, marketId }).select('requestedBy');
+        
+        const record = await SettlementRecord.findOneAndUpdate({ chainId: this.chainId, marketId }, {
+            templateCreator: distributed ? distributed.creator : creator,
+            requestedBy: market ? market.requestedBy : undefined,
+            endTime: new Date(Number(endTime) * 1000),
+            totalVotes,
+            yesVotes: Number(yesVotes),
+            noVotes: Number(noVotes),
+            totalStaked: totalStaked.toString(),
+            winnerSide,
+            creatorReward: creatorReward.toString(),
+            voterRewards: voterRewards.toString(),
+            rewardSource: distributed ? 'event' : 'estimated',
+            settlementTx: txHash,
+            blockNumber: receipt.blockNumber,
+            gasUsed: receipt.gasUsed.toString(),
+            settledAt,
+            participants
+        }, { upsert: true, new: true });
+        
+        this.log.info('Settlement record saved', { marketId, winnerSide, participants: participants.length });
+        return record;
+    }
+
+    getOutcome(yesVotes, noVotes) {
+        if (yesVotes === 0 && noVotes === 0) return 'no-votes';
+        if (yesVotes === noVotes) return 'tie';
+        return yesVotes > noVotes ? 'funny' : 'lame';
+    }
+
+    // RewardsDistributed log for this market in the settlement receipt, if any
+    findRewardsDistributed(marketId, receipt) {
+        for (const log of receipt.logs) {
+            if (log.address.toLowerCase() !== this.contractAddress.toLowerCase()) continue;
+
+            const event = this.contract.interface.parseLog(log);
+            if (event && event.name === 'RewardsDistributed' && Number(event.args.marketId) === Number(marketId)) {
+                return { creator: event.args.creator, creatorReward: event.args.creatorReward };
+            }
+        }
+        return null;
+    }
+
+    // Only used when the receipt has no RewardsDistributed log
+    async estimateCreatorReward(totalStaked) {
+        return totalStaked * await this.cache.creatorRewardPercentage() / 100n;
+    }
+
+    // Split the voter pool the way releaseRewards does (integer wei division):
+    // winners share it equally, on a tie it is shared by every voter
+    async computePayouts(marketId, winnerSide, voterRewards) {
+        const voters = await this.getMarketVoters(marketId);
+        const isWinner = (vote) => winnerSide === 'tie' || vote === winnerSide;
+        const winnerCount = BigInt(voters.filter(v => isWinner(v.vote)).length);
+        const payoutPerWinner = winnerCount > 0n ? voterRewards / winnerCount : 0n;
+
+        const participants = [];
+        for (const { address, vote, stakeAmount, blockNumber } of voters) {
+            const staked = stakeAmount || (await this.voteCostAt(blockNumber)).toString();
+            participants.push({
+                address,
+                vote,
+                staked,
+                payout: (isWinner(vote) ? payoutPerWinner : 0n).toString(),
+                won: vote === winnerSide
             });
-            
-            await settlementRecord.save();
-            console.log(`💾 Settlement record saved for market ${marketId}`);
-            
+        }
+        return participants;
+    }
+
+    // What a vote cost when it was cast, voteCost can change between markets
+    async voteCostAt(blockNumber) {
+        if (!blockNumber) {
+            return await this.cache.voteCost();
+        }
+        return await this.contract.voteCost({ blockTag: blockNumber });
+    }
+
+    // Every voter on a market, read from VoteCast logs with UserVote as fallback.
+    // A vote's stake is the one the indexer stored with it at the event's block; votes
+    // not indexed yet carry the block they were cast in instead.
+    async getMarketVoters(marketId) {
+        const stored = await UserVote.find({ chainId: this.chainId, marketId, status: 'confirmed' });
+        const indexedStake = (vote) => (vote && vote.blockNumber ? vote.stakeAmount : null);
+
+        try {
+            const logs = await this.contract.queryFilter(
+                this.contract.filters.VoteCast(marketId),
+                this.startBlock
+            );
+
+            const byAddress = new Map(stored.map(v => [v.userAddress.toLowerCase(), v]));
+            const voters = new Map();
+            for (const log of logs) {
+                voters.set(log.args.voter, {
+                    address: log.args.voter,
+                    vote: log.args.vote ? 'funny' : 'lame',
+                    stakeAmount: indexedStake(byAddress.get(log.args.voter.toLowerCase())),
+                    blockNumber: log.blockNumber
+                });
+            }
+            return [...voters.values()];
         } catch (error) {
-            console.error(`🚨 Failed to store settlement record for market ${marketId}:`, error);
+            this.log.warn('VoteCast lookup failed, using stored votes', { marketId, error: error.message });
+
+            return stored.map(v => ({
+                address: v.userAddress,
+                vote: v.vote,
+                stakeAmount: indexedStake(v),
+                blockNumber: v.blockNumber
+            }));
+        }
+    }
+
+    // Pause/resume the scheduled sweep and the settlement queue on every instance
+    // (manual settlement keeps working). The paused flag lives in Redis with the queue
+    async pause() {
+        await this.getQueue().pause();
+        this.log.info('Auto-settlement paused');
+    }
+
+    async resume() {
+        await this.getQueue().resume();
+        this.log.info('Auto-settlement resumed');
+    }
+
+    async isPaused() {
+        return await this.getQueue().isPaused();
+    }
+
+    // Re-queue the given markets, or every unresolved dead letter plus every
+    // indexed market that ended unsettled
+    async retryFailedSettlements(marketIds = null) {
+        if (!marketIds) {
+            const deadLetters = await this.getDeadLetters();
+            const overdue = await Market.find({
+                chainId: this.chainId,
+                isSettled: false,
+                endTime: { $lte: new Date() }
+            }).select('marketId');
+            marketIds = [...new Set([...deadLetters, ...overdue].map(market => market.marketId))];
+        }
+
+        const results = [];
+        for (const marketId of marketIds) {
+            try {
+                results.push({ marketId, queued: await this.enqueueSettlement(marketId, { force: true }) });
+            } catch (error) {
+                results.push({ marketId, queued: false, error: error.message });
+            }
         }
+        return results;
     }
 
     // Manual settlement trigger (for admin use)
     async manualSettle(marketId) {
-        console.log(`🔧 Manual settlement requested for market ${marketId}`);
+        this.log.info('Manual settlement requested', { marketId });
         
+        // Same lock as the queue worker, so the two never settle the same market at once
+        const token = await this.lock.acquire(String(marketId), this.lockTtlMs);
+        if (!token) {
+            throw new Error(`Market ${marketId} is already being settled`);
+        }
+
         try {
             const market = await this.contract.getMarket(marketId);
             return await this.settleMarket(marketId, market);
         } catch (error) {
-            console.error(`🚨 Manual settlement failed for market ${marketId}:`, error);
+            this.log.error('Manual settlement failed', { marketId, error });
             throw error;
+        } finally {
+            await this.lock.release(String(marketId), token);
         }
     }
 
-    // Get settlement status
+    // Get settlement status, polled by clients so it reads through the cache
     async getSettlementStatus(marketId) {
         try {
-            const market = await this.contract.getMarket(marketId);
+            const market = await this.cache.getMarket(marketId);
             const [creator, endTime, yesVotes, noVotes, totalStaked, isActive, metadata] = market;
             
             const now = Math.floor(Date.now() / 1000);
@@ -210,7 +602,7 @@ class AutoSettlementService {
                 totalStaked: ethers.formatEther(totalStaked)
             };
         } catch (error) {
-            console.error(`Error getting settlement status for market ${marketId}:`, error);
+            this.log.error('Failed to get settlement status', { marketId, error });
             throw error;
         }
     }
@@ -0,0 +1,414 @@
+// server/services/sponsorshipService.js
+const { ethers } = require('ethers');
+const { SponsorshipPolicy, SponsoredTx } = require('../models/Sponsorship');
+const usage = require('./usageCounter');
+const { logger } = require('./logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Relayed on behalf of users; settlement and faucet jobs are not sponsorships
+const SPONSORED_ACTIONS = ['vote', 'createMarket', 'createMeme'];
+const MAX_PAGE_SIZE = 200;
+
+class SponsorshipError extends Error {
+    constructor(message, status = 429, { retryAfter = null, limit = null } = {}) {
+        super(message);
+        this.name = 'SponsorshipError';
+        this.status = status;
+        this.retryAfter = retryAfter;
+        this.limit = limit;
+    }
+}
+
+// Decides which relayed actions the relayers pay for and records what each one cost
+class SponsorshipService {
+    constructor(relayerPool) {
+        this.relayers = relayerPool;
+        this.chainId = relayerPool.chainId;
+        this.log = logger.child({ service: 'sponsorship', chainId: relayerPool.chainId });
+        this.defaults = {
+            enabled: process.env.SPONSOR_ENABLED !== 'false',
+            addressDailyVotes: Number(process.env.SPONSOR_ADDRESS_DAILY_VOTES) || 20,
+            marketBudget: ethers.parseEther(process.env.SPONSOR_MARKET_BUDGET_ETH || '0.05'),
+            dailyBudget: ethers.parseEther(process.env.SPONSOR_DAILY_BUDGET_ETH || '1')
+        };
+
+        this.trackJobs();
+    }
+
+    // Fill in gas and cost once the relay job lands (or doesn't), and move the
+    // reserved budget from the value sent to what the relayers really paid
+    trackJobs() {
+        const update = async (job, fields) => {
+            if (!SPONSORED_ACTIONS.includes(job.action)) return;
+            try {
+                // Only the first update for a job counts, so the counters are adjusted once
+                const record = await SponsoredTx.findOneAndUpdate(
+                    { chainId: this.chainId, jobId: job.jobId, status: 'queued' },
+                    fields
+                );
+                if (record) {
+                    await this.settleCounters(record, fields);
+                }
+            } catch (error) {
+                this.log.error('Failed to update sponsored tx', { jobId: job.jobId, error });
+            }
+        };
+
+        this.relayers.on('mined', (job) => {
+            const fee = BigInt(job.gasUsed) * BigInt(job.effectiveGasPrice || 0);
+            update(job, {
+                status: 'mined',
+                transactionHash: job.txHash,
+                gasUsed: job.gasUsed,
+                effectiveGasPrice: job.effectiveGasPrice,
+                fee: fee.toString(),
+                cost: (BigInt(job.value) + fee).toString()
+            });
+        });
+
+        this.relayers.on('failed', (job) => {
+            if (!job.gasUsed) {
+                update(job, { status: 'failed', error: job.error, cost: '0' });
+                return;
+            }
+
+            // Reverted on-chain: the value came back but the gas was paid
+            const fee = BigInt(job.gasUsed) * BigInt(job.effectiveGasPrice || 0);
+            update(job, {
+                status: 'reverted',
+                transactionHash: job.txHash,
+                gasUsed: job.gasUsed,
+                effectiveGasPrice: job.effectiveGasPrice,
+                fee: fee.toString(),
+                cost: fee.toString(),
+                error: job.error
+            });
+        });
+    }
+
+    // record is the sponsored tx before the update; a vote that never reached the chain gives its slot back
+    async settleCounters(record, fields) {
+        const delta = BigInt(fields.cost) - BigInt(record.cost);
+        for (const key of record.budgetCounters || []) {
+            await usage.add(key, { amount: delta });
+        }
+        if (fields.status === 'failed' && record.voteCounter) {
+            await usage.release(record.voteCounter, { count: 1 });
+        }
+    }
+
+    // Stored policy for this chain on top of the environment defaults
+    async getPolicy() {
+        const stored = await SponsorshipPolicy.findOne({ chainId: this.chainId });
+        const pick = (field) => (stored && stored[field] !== undefined && stored[field] !== null ? stored[field] : this.defaults[field]);
+
+        return {
+            enabled: pick('enabled'),
+            addressDailyVotes: pick('addressDailyVotes'),
+            marketBudget: BigInt(pick('marketBudget')),
+            dailyBudget: BigInt(pick('dailyBudget')),
+            updatedBy: stored ? stored.updatedBy : null,
+            updatedAt: stored ? stored.updatedAt : null
+        };
+    }
+
+    formatPolicy(policy) {
+        return {
+            chainId: this.chainId,
+            enabled: policy.enabled,
+            addressDailyVotes: policy.addressDailyVotes,
+            marketBudgetEth: ethers.formatEther(policy.marketBudget),
+            dailyBudgetEth: ethers.formatEther(policy.dailyBudget),
+            updatedBy: policy.updatedBy,
+            updatedAt: policy.updatedAt
+        };
+    }
+
+    // Change some of { enabled, addressDailyVotes, marketBudgetEth, dailyBudgetEth }
+    async updatePolicy(changes, actor) {
+        const update = { updatedBy: actor };
+
+        if (changes.enabled !== undefined) {
+            if (typeof changes.enabled !== 'boolean') {
+                throw new SponsorshipError('enabled must be true or false', 400);
+            }
+            update.enabled = changes.enabled;
+        }
+        if (changes.addressDailyVotes !== undefined) {
+            if (!Number.isInteger(changes.addressDailyVotes) || changes.addressDailyVotes < 0) {
+                throw new SponsorshipError('addressDailyVotes must be a non-negative integer', 400);
+            }
+            update.addressDailyVotes = changes.addressDailyVotes;
+        }
+        for (const [field, key] of [['marketBudgetEth', 'marketBudget'], ['dailyBudgetEth', 'dailyBudget']]) {
+            if (changes[field] === undefined) continue;
+            let amount;
+            try {
+                amount = ethers.parseEther(String(changes[field]));
+            } catch (error) {
+                throw new SponsorshipError(`${field} must be an ETH amount, e.g. "0.5"`, 400);
+            }
+            if (amount < 0n) {
+                throw new SponsorshipError(`${field} must not be negative`, 400);
+            }
+            update[key] = amount.toString();
+        }
+
+        await SponsorshipPolicy.findOneAndUpdate({ chainId: this.chainId }, update, { upsert: true });
+        return this.formatPolicy(await this.getPolicy());
+    }
+
+    // Sum of the cost field (wei strings) over matching records
+    async sumCost(match) {
+        const [row] = await SponsoredTx.aggregate([
+            { $match: match },
+            { $group: { _id: null, total: { $sum: { $toDecimal: '$cost' } } } }
+        ]);
+        return row ? BigInt(row.total.toString()) : 0n;
+    }
+
+    // Counters for the current UTC day and the market's all-time budget, seeded from
+    // existing records the first time each one is used
+    counterKeys({ address, marketId }, now = Date.now()) {
+        const day = usage.window(DAY_MS, now);
+        const prefix = `sponsor:${this.chainId}`;
+        return {
+            day,
+            votes: `${prefix}:votes:${address}:${day.start}`,
+            market: marketId === undefined ? null : `${prefix}:market:${Number(marketId)}`,
+            daily: `${prefix}:daily:${day.start}`
+        };
+    }
+
+    // Reserve the vote slot and value against each budget atomically, so concurrent
+    // requests cannot go over a limit. Throws a SponsorshipError (429) when one is reached.
+    async reserve(policy, { address, action, marketId, value }) {
+        const now = Date.now();
+        const keys = this.counterKeys({ address, marketId }, now);
+        const since = new Date(keys.day.start);
+
+        const limits = [];
+        if (action === 'vote') {
+            limits.push({
+                key: keys.votes,
+                reservation: {
+                    count: 1,
+                    maxCount: policy.addressDailyVotes,
+                    expiresAt: keys.day.end,
+                    seed: async () => ({
+                        count: await SponsoredTx.countDocuments({
+                            chainId: this.chainId,
+                            address,
+                            action: 'vote',
+                            status: { $ne: 'failed' },
+                            createdAt: { $gte: since }
+                        })
+                    })
+                },
+                error: () => new SponsorshipError(
+                    `Daily limit of ${policy.addressDailyVotes} sponsored votes reached`,
+                    429,
+                    { retryAfter: Math.ceil((keys.day.end.getTime() - now) / 1000), limit: 'address-daily-votes' }
+                )
+            });
+        }
+        if (keys.market) {
+            limits.push({
+                key: keys.market,
+                reservation: {
+                    amount: value,
+                    maxAmount: policy.marketBudget,
+                    seed: async () => ({ amount: await this.sumCost({ chainId: this.chainId, marketId: Number(marketId) }) })
+                },
+                error: () => new SponsorshipError(
+                    `Sponsorship budget for market ${marketId} is used up`,
+                    429,
+                    { limit: 'market-budget' }
+                )
+            });
+        }
+        limits.push({
+            key: keys.daily,
+            reservation: {
+                amount: value,
+                maxAmount: policy.dailyBudget,
+                expiresAt: keys.day.end,
+                seed: async () => ({ amount: await this.sumCost({ chainId: this.chainId, createdAt: { $gte: since } }) })
+            },
+            error: () => new SponsorshipError(
+                'Daily sponsorship budget exhausted, try again later',
+                429,
+                { retryAfter: Math.ceil((keys.day.end.getTime() - now) / 1000), limit: 'daily-budget' }
+            )
+        });
+
+        const reserved = [];
+        try {
+            for (const limit of limits) {
+                if (!await usage.reserve(limit.key, limit.reservation)) {
+                    throw limit.error();
+                }
+                reserved.push(limit);
+            }
+        } catch (error) {
+            await this.release(reserved);
+            throw error;
+        }
+        return reserved;
+    }
+
+    async release(reserved) {
+        for (const { key, reservation } of reserved) {
+            try {
+                await usage.release(key, reservation);
+            } catch (error) {
+                this.log.error('Failed to release sponsorship reservation', { key, error });
+            }
+        }
+    }
+
+    // Check the policy, reserve the limits, record the sponsored tx and queue it with submit()
+    async sponsor({ address, action, marketId, value = 0n }, submit) {
+        if (!SPONSORED_ACTIONS.includes(action)) {
+            throw new Error(`Unknown sponsored action: ${action}`);
+        }
+
+        const policy = await this.getPolicy();
+        if (!policy.enabled) {
+            throw new SponsorshipError('Gas sponsorship is currently disabled', 503, { limit: 'disabled' });
+        }
+
+        const reserved = await this.reserve(policy, { address, action, marketId, value });
+
+        let record;
+        try {
+            record = await SponsoredTx.create({
+                chainId: this.chainId,
+                address,
+                action,
+                marketId: marketId === undefined ? undefined : Number(marketId),
+                value: value.toString(),
+                cost: value.toString(),
+                voteCounter: action === 'vote' ? reserved[0].key : undefined,
+                budgetCounters: reserved.filter(limit => limit.reservation.amount !== undefined).map(limit => limit.key)
+            });
+        } catch (error) {
+            await this.release(reserved);
+            throw error;
+        }
+
+        try {
+            const job = await submit();
+            record.jobId = job.jobId;
+            await record.save();
+            return job;
+        } catch (error) {
+            record.status = 'failed';
+            record.cost = '0';
+            record.error = error.message;
+            await record.save();
+            await this.release(reserved);
+            throw error;
+        }
+    }
+
+    // What an address has left today (UTC)
+    async getUsage(address) {
+        const policy = await this.getPolicy();
+        const keys = this.counterKeys({ address });
+
+        const [counter, spent] = await Promise.all([
+            usage.get(keys.votes),
+            this.sumCost({ chainId: this.chainId, address, createdAt: { $gte: new Date(keys.day.start) } })
+        ]);
+        const votes = counter ? counter.count : await SponsoredTx.countDocuments({
+            chainId: this.chainId,
+            address,
+            action: 'vote',
+            status: { $ne: 'failed' },
+            createdAt: { $gte: new Date(keys.day.start) }
+        });
+
+        return {
+            chainId: this.chainId,
+            address,
+            enabled: policy.enabled,
+            votes,
+            votesRemaining: Math.max(policy.addressDailyVotes - votes, 0),
+            addressDailyVotes: policy.addressDailyVotes,
+            spentEth: ethers.formatEther(spent),
+            resetsAt: keys.day.end
+        };
+    }
+
+    // Sponsored cost per address or per market, most expensive first
+    async getReport({ groupBy = 'address', since, until, page = 1, limit = 50 }) {
+        if (!['address', 'market'].includes(groupBy)) {
+            throw new SponsorshipError('groupBy must be address or market', 400);
+        }
+
+        const pageSize = Math.min(Math.max(Number(limit) || 50, 1), MAX_PAGE_SIZE);
+        const pageNumber = Math.max(Number(page) || 1, 1);
+        const match = { chainId: this.chainId };
+        if (since || until) {
+            match.createdAt = {};
+            if (since) match.createdAt.$gte = new Date(since);
+            if (until) match.createdAt.$lt = new Date(until);
+            if (Object.values(match.createdAt).some(date => isNaN(date.getTime()))) {
+                throw new SponsorshipError('since and until must be dates', 400);
+            }
+        }
+        if (groupBy === 'market') {
+            match.marketId = { $ne: null };
+        }
+
+        const decimal = (field) => ({ $toDecimal: { $ifNull: [field, '0'] } });
+        const [result] = await SponsoredTx.aggregate([
+            { $match: match },
+            {
+                $group: {
+                    _id: groupBy === 'address' ? '$address' : '$marketId',
+                    transactions: { $sum: 1 },
+                    mined: { $sum: { $cond: [{ $eq: ['$status', 'mined'] }, 1, 0] } },
+                    reverted: { $sum: { $cond: [{ $eq: ['$status', 'reverted'] }, 1, 0] } },
+                    gasUsed: { $sum: decimal('$gasUsed') },
+                    value: { $sum: { $cond: [{ $eq: ['$status', 'mined'] }, decimal('$value'), 0] } },
+                    fees: { $sum: decimal('$fee') },
+                    cost: { $sum: decimal('$cost') }
+                }
+            },
+            { $sort: { cost: -1, _id: 1 } },
+            {
+                $facet: {
+                    total: [{ $count: 'count' }],
+                    rows: [{ $skip: (pageNumber - 1) * pageSize }, { $limit: pageSize }]
+                }
+            }
+        ]);
+
+        const eth = (amount) => ethers.formatEther(BigInt(amount.toString()));
+        const rows = result.rows.map(row => ({
+            [groupBy === 'address' ? 'address' : 'marketId']: row._id,
+            transactions: row.transactions,
+            mined: row.mined,
+            reverted: row.reverted,
+            gasUsed: row.gasUsed.toString(),
+            valueEth: eth(row.value),
+            feesEth: eth(row.fees),
+            costEth: eth(row.cost)
+        }));
+
+        return {
+            chainId: this.chainId,
+            groupBy,
+            rows,
+            page: pageNumber,
+            limit: pageSize,
+            total: result.total.length > 0 ? result.total[0].count : 0
+        };
+    }
+}
+
+SponsorshipService.SponsorshipError = SponsorshipError;
+
+module.exports = SponsorshipService;
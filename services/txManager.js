@@ -0,0 +1,500 @@
+// server/services/txManager.js
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const Queue = require('bull');
+const { Transaction } = require('ethers');
+const { RelayJob } = require('../models/RelayJob');
+const RedisLock = require('./lockService');
+const { logger } = require('./logger');
+
+const TERMINAL_STATUSES = ['mined', 'failed', 'dropped'];
+// Jobs holding a nonce whose transaction has not been decided yet. A stuck job has used
+// every replacement but its nonce is still open, so one of its hashes may yet be mined.
+const IN_FLIGHT_STATUSES = ['sending', 'sent', 'stuck'];
+const SEND_LOCK_TTL_MS = 30 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// One manager per chain and relayer address, shared by every route and service in the process
+const managers = new Map();
+
+// Sends one wallet's queued jobs and watches them until they are mined, fail or are dropped.
+// Every instance works the same Redis queue, so nonces are assigned under a Redis lock
+// and pending transactions are tracked in the database rather than in memory.
+class TransactionManager extends EventEmitter {
+    constructor(wallet, chainId) {
+        super();
+        this.wallet = wallet;
+        this.chainId = chainId;
+        this.provider = wallet.provider;
+        this.address = wallet.address;
+        this.log = logger.child({ service: 'txManager', chainId, wallet: wallet.address });
+        this.redisUrl = process.env.REDIS_URL || 'redis://127.0.0.1:6379';
+        this.stuckTimeoutMs = Number(process.env.TX_STUCK_TIMEOUT_MS) || 60 * 1000;
+        this.pollIntervalMs = Number(process.env.TX_POLL_INTERVAL_MS) || 5 * 1000;
+        this.gasBumpPercent = BigInt(process.env.TX_GAS_BUMP_PERCENT || 20);
+        this.maxReplacements = Number(process.env.TX_MAX_REPLACEMENTS) || 5;
+        // Long enough for every replacement and the final stuck timeout before a job is dropped
+        this.waitTimeoutMs = Number(process.env.TX_WAIT_TIMEOUT_MS) ||
+            this.stuckTimeoutMs * (this.maxReplacements + 2) + this.pollIntervalMs;
+        this.lock = new RedisLock(`relayer:${chainId}:${wallet.address}`);
+        this.queue = null;
+        this.poller = null;
+        this.isPolling = false;
+    }
+
+    static forWallet(wallet, chainId) {
+        const key = `${chainId}:${wallet.address}`;
+        if (!managers.has(key)) {
+            managers.set(key, new TransactionManager(wallet, chainId));
+        }
+        return managers.get(key);
+    }
+
+    getQueue() {
+        if (!this.queue) {
+            this.queue = new Queue(`relayer-tx:${this.chainId}:${this.address}`, this.redisUrl);
+        }
+        return this.queue;
+    }
+
+    // Start sending queued jobs and watching pending transactions
+    async start() {
+        if (this.poller) {
+            return;
+        }
+
+        const queue = this.getQueue();
+        queue.process(1, (job) => this.sendJob(job.data.jobId));
+
+        queue.on('failed', async (job, error) => {
+            if (job.attemptsMade < job.opts.attempts) {
+                return;
+            }
+            await this.markFailed(job.data.jobId, error.message);
+        });
+
+        // Transactions still pending from before a restart are found by the poller
+        this.poller = setInterval(() => this.pollPending(), this.pollIntervalMs);
+
+        this.log.info('Transaction manager started', { inFlight: await this.countInFlight() });
+    }
+
+    // Stop polling and close the queue and lock connections
+    async close() {
+        clearInterval(this.poller);
+        this.poller = null;
+        if (this.queue) {
+            await this.queue.close();
+            this.queue = null;
+        }
+        await this.lock.close();
+    }
+
+    // Queued or unconfirmed jobs for this wallet
+    async countInFlight() {
+        return await RelayJob.countDocuments({
+            chainId: this.chainId,
+            wallet: this.address,
+            status: { $in: ['queued', ...IN_FLIGHT_STATUSES] }
+        });
+    }
+
+    // Queue a raw transaction request
+    async submit({ action, to, data = '0x', value = 0n, meta = {} }) {
+        const jobId = crypto.randomUUID();
+
+        const job = await RelayJob.create({
+            jobId,
+            chainId: this.chainId,
+            wallet: this.address,
+            action,
+            to,
+            data,
+            value: value.toString(),
+            meta
+        });
+
+        await this.getQueue().add({ jobId }, {
+            jobId,
+            attempts: 3,
+            backoff: { type: 'exponential', delay: 2000 },
+            removeOnComplete: true
+        });
+
+        this.emit('queued', job);
+        return job;
+    }
+
+    // Queue a contract call, e.g. submitCall(contract, 'vote', [user, id, true], { value })
+    async submitCall(contract, method, args, { value = 0n, action = method, meta = {} } = {}) {
+        return await this.submit({
+            action,
+            to: await contract.getAddress(),
+            data: contract.interface.encodeFunctionData(method, args),
+            value,
+            meta
+        });
+    }
+
+    async getJob(jobId) {
+        return await RelayJob.findOne({ jobId, chainId: this.chainId });
+    }
+
+    // Resolve once the job is mined, reject if it fails, is dropped or takes longer than timeoutMs.
+    // The job may be sent and watched by another instance, so the database is polled as well.
+    async waitForJob(jobId, timeoutMs = this.waitTimeoutMs) {
+        const deadline = Date.now() + timeoutMs;
+
+        return await new Promise((resolve, reject) => {
+            let timer = null;
+
+            const finish = (job, error) => {
+                clearTimeout(timer);
+                this.off('mined', settle);
+                this.off('failed', settle);
+
+                if (error) {
+                    reject(error);
+                } else if (job.status === 'mined') {
+                    resolve(job);
+                } else {
+                    reject(new Error(job.error || `Relay job ${jobId} ${job.status}`));
+                }
+            };
+
+            const settle = (job) => {
+                if (job.jobId === jobId && TERMINAL_STATUSES.includes(job.status)) {
+                    finish(job);
+                }
+            };
+
+            const check = async () => {
+                try {
+                    const job = await this.getJob(jobId);
+                    if (job && TERMINAL_STATUSES.includes(job.status)) {
+                        return finish(job);
+                    }
+                } catch (error) {
+                    this.log.warn('Could not read relay job', { jobId, error: error.message });
+                }
+
+                if (Date.now() >= deadline) {
+                    return finish(null, new Error(`Relay job ${jobId} not finished after ${timeoutMs} ms`));
+                }
+                timer = setTimeout(check, this.pollIntervalMs);
+            };
+
+            this.on('mined', settle);
+            this.on('failed', settle);
+            check();
+        });
+    }
+
+    // Hold the wallet's send lock, waiting up to the lock TTL for another instance to finish
+    async acquireSendLock() {
+        const deadline = Date.now() + SEND_LOCK_TTL_MS;
+        while (Date.now() < deadline) {
+            const token = await this.lock.acquire('send', SEND_LOCK_TTL_MS);
+            if (token) {
+                return token;
+            }
+            await sleep(100);
+        }
+        throw new Error(`Timed out waiting for the send lock of ${this.address}`);
+    }
+
+    // Only called with the send lock held. The node's pending count can lag behind a
+    // transaction another instance just broadcast, the database never does.
+    async nextNonce() {
+        const [pendingCount, last] = await Promise.all([
+            this.provider.getTransactionCount(this.address, 'pending'),
+            RelayJob.findOne({ chainId: this.chainId, wallet: this.address, status: { $in: IN_FLIGHT_STATUSES } })
+                .sort({ nonce: -1 })
+                .select('nonce')
+        ]);
+
+        return last ? Math.max(pendingCount, last.nonce + 1) : pendingCount;
+    }
+
+    async getFees(multiplier = 100n) {
+        const feeData = await this.provider.getFeeData();
+
+        if (feeData.maxFeePerGas !== null) {
+            return {
+                maxFeePerGas: feeData.maxFeePerGas * multiplier / 100n,
+                maxPriorityFeePerGas: feeData.maxPriorityFeePerGas * multiplier / 100n
+            };
+        }
+        return { gasPrice: feeData.gasPrice * multiplier / 100n };
+    }
+
+    // Bull processor: estimate, assign a nonce and broadcast.
+    // The signed transaction is saved as 'sending' before it is broadcast, so a retry
+    // after a crash or a failed save never sends it a second time with a new nonce.
+    async sendJob(jobId) {
+        const job = await this.getJob(jobId);
+        if (!job || job.status !== 'queued') {
+            return;
+        }
+
+        const request = { to: job.to, data: job.data, value: BigInt(job.value) };
+        const gasEstimate = await this.wallet.estimateGas(request);
+        const gasLimit = gasEstimate * 120n / 100n; // Add 20% buffer
+        const fees = await this.getFees();
+
+        const token = await this.acquireSendLock();
+        try {
+            const nonce = await this.nextNonce();
+            const populated = await this.wallet.populateTransaction({ ...request, gasLimit, nonce, ...fees });
+            const signed = await this.wallet.signTransaction(populated);
+            const txHash = Transaction.from(signed).hash;
+
+            const sending = await RelayJob.findOneAndUpdate(
+                { jobId, status: 'queued' },
+                {
+                    status: 'sending',
+                    nonce,
+                    gasLimit: gasLimit.toString(),
+                    ...this.serializeFees(fees),
+                    txHash,
+                    txHashes: [txHash]
+                },
+                { new: true }
+            );
+            if (!sending) {
+                return;
+            }
+
+            try {
+                await this.provider.broadcastTransaction(signed);
+            } catch (error) {
+                // The node may have accepted it before the call failed, only requeue if it never saw it
+                const seen = await this.provider.getTransaction(txHash).catch(() => null);
+                if (!seen) {
+                    await RelayJob.updateOne(
+                        { jobId, status: 'sending' },
+                        { status: 'queued', $unset: { nonce: 1, txHash: 1, txHashes: 1 } }
+                    );
+                    throw error;
+                }
+            }
+
+            const sent = await RelayJob.findOneAndUpdate(
+                { jobId, status: 'sending' },
+                { status: 'sent', sentAt: new Date() },
+                { new: true }
+            );
+
+            this.log.info('Transaction sent', { action: job.action, jobId, txHash, nonce });
+            if (sent) {
+                this.emit('sent', sent);
+            }
+            return { txHash, nonce };
+        } finally {
+            await this.lock.release('send', token);
+        }
+    }
+
+    serializeFees(fees) {
+        const serialized = {};
+        for (const [key, value] of Object.entries(fees)) {
+            serialized[key] = value.toString();
+        }
+        return serialized;
+    }
+
+    // Check every pending transaction for a receipt, replace the ones that look stuck.
+    // One instance at a time watches a wallet, whichever holds its poll lock.
+    async pollPending() {
+        if (this.isPolling) {
+            return;
+        }
+
+        this.isPolling = true;
+        let token = null;
+        try {
+            token = await this.lock.acquire('poll', this.stuckTimeoutMs);
+            if (!token) {
+                return;
+            }
+
+            const inFlight = await RelayJob.find({
+                chainId: this.chainId,
+                wallet: this.address,
+                status: { $in: IN_FLIGHT_STATUSES }
+            }).sort({ nonce: 1 });
+
+            for (const job of inFlight) {
+                try {
+                    await this.checkPending(job);
+                } catch (error) {
+                    this.log.error('Error tracking relay job', { action: job.action, jobId: job.jobId, error });
+                }
+            }
+        } catch (error) {
+            this.log.error('Error polling pending transactions', { error });
+        } finally {
+            if (token) {
+                await this.lock.release('poll', token).catch(() => {});
+            }
+            this.isPolling = false;
+        }
+    }
+
+    async checkPending(job) {
+        const receipt = await this.findReceipt(job);
+        if (receipt) {
+            return await this.markMined(job, receipt);
+        }
+        if (job.status === 'stuck') {
+            return await this.checkStuck(job);
+        }
+
+        const sinceLastSend = Date.now() - job.updatedAt.getTime();
+        if (sinceLastSend < this.stuckTimeoutMs) {
+            return;
+        }
+        if (job.replacements < this.maxReplacements) {
+            await this.replace(job);
+        } else {
+            await this.checkStuck(job);
+        }
+    }
+
+    // Any of the hashes broadcast for this nonce may be the one that lands
+    async findReceipt(job) {
+        for (const hash of job.txHashes) {
+            const receipt = await this.provider.getTransactionReceipt(hash);
+            if (receipt) {
+                return receipt;
+            }
+        }
+        return null;
+    }
+
+    // Out of replacements. The job is only dropped once its nonce has been used by a
+    // transaction that isn't one of ours; while the nonce is open it stays 'stuck'
+    // (still in flight) so nothing downstream treats it as failed and re-sends it.
+    async checkStuck(job) {
+        const latestNonce = await this.provider.getTransactionCount(this.address, 'latest');
+        if (latestNonce <= job.nonce) {
+            if (job.status !== 'stuck' && await this.finish(job, { status: 'stuck' })) {
+                this.log.warn('Transaction stuck, still watching for a receipt', {
+                    action: job.action, jobId: job.jobId, nonce: job.nonce, replacements: job.replacements
+                });
+            }
+            return;
+        }
+
+        // The nonce is used; one of our hashes may have been mined since the last look
+        const receipt = await this.findReceipt(job);
+        if (receipt) {
+            return await this.markMined(job, receipt);
+        }
+        await this.markDropped(job, `Nonce ${job.nonce} used by another transaction after ${job.replacements} replacements`);
+    }
+
+    // Re-send the same transaction with the same nonce and higher fees
+    async replace(job) {
+        const bump = 100n + this.gasBumpPercent;
+        const current = job.maxFeePerGas
+            ? { maxFeePerGas: BigInt(job.maxFeePerGas), maxPriorityFeePerGas: BigInt(job.maxPriorityFeePerGas) }
+            : { gasPrice: BigInt(job.gasPrice) };
+        const market = await this.getFees();
+
+        // Use the bumped fee or the current market fee, whichever is higher
+        const fees = {};
+        for (const key of Object.keys(current)) {
+            const bumped = current[key] * bump / 100n;
+            fees[key] = market[key] !== undefined && market[key] > bumped ? market[key] : bumped;
+        }
+
+        try {
+            const tx = await this.wallet.sendTransaction({
+                to: job.to,
+                data: job.data,
+                value: BigInt(job.value),
+                gasLimit: BigInt(job.gasLimit),
+                nonce: job.nonce,
+                ...fees
+            });
+
+            Object.assign(job, this.serializeFees(fees), { txHash: tx.hash });
+            job.txHashes.push(tx.hash);
+            job.replacements += 1;
+            await job.save();
+
+            this.log.info('Replaced stuck transaction', { action: job.action, jobId: job.jobId, nonce: job.nonce, txHash: tx.hash });
+        } catch (error) {
+            // "nonce too low" means an earlier hash was mined, the next poll will find its receipt
+            this.log.warn('Could not replace transaction', { action: job.action, jobId: job.jobId, nonce: job.nonce, error: error.message });
+
+            // Still counts as an attempt, so a replacement that keeps failing ends in checkStuck
+            job.replacements += 1;
+            await job.save();
+        }
+    }
+
+    // Decide a pending job once, even if another instance is looking at it too
+    async finish(job, changes) {
+        return await RelayJob.findOneAndUpdate(
+            { jobId: job.jobId, status: { $in: IN_FLIGHT_STATUSES } },
+            changes,
+            { new: true }
+        );
+    }
+
+    async markMined(job, receipt) {
+        const reverted = receipt.status !== 1;
+        const finished = await this.finish(job, {
+            status: reverted ? 'failed' : 'mined',
+            ...(reverted ? { error: 'Transaction reverted' } : {}),
+            txHash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            gasUsed: receipt.gasUsed.toString(),
+            effectiveGasPrice: receipt.gasPrice.toString(),
+            minedAt: new Date()
+        });
+        if (!finished) {
+            return;
+        }
+
+        if (reverted) {
+            this.log.error('Transaction reverted', { action: job.action, jobId: job.jobId, txHash: receipt.hash });
+            this.emit('failed', finished);
+        } else {
+            this.log.info('Transaction mined', { action: job.action, jobId: job.jobId, txHash: receipt.hash, blockNumber: receipt.blockNumber });
+            this.emit('mined', finished);
+        }
+    }
+
+    // Give up on a transaction whose nonce went to another transaction. Listeners see it as failed.
+    async markDropped(job, message) {
+        const dropped = await this.finish(job, { status: 'dropped', error: message });
+        if (!dropped) {
+            return;
+        }
+
+        this.log.error('Transaction dropped', { action: job.action, jobId: job.jobId, nonce: job.nonce, error: message });
+        this.emit('failed', dropped);
+    }
+
+    // Bull gave up before anything was broadcast
+    async markFailed(jobId, message) {
+        const job = await RelayJob.findOneAndUpdate(
+            { jobId, status: 'queued' },
+            { status: 'failed', error: message },
+            { new: true }
+        );
+
+        if (job) {
+            this.log.error('Relay job failed', { action: job.action, jobId, error: message });
+            this.emit('failed', job);
+        }
+    }
+}
+
+TransactionManager.TERMINAL_STATUSES = TERMINAL_STATUSES;
+
+module.exports = TransactionManager;
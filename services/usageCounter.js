@@ -0,0 +1,80 @@
+// server/services/usageCounter.js
+const mongoose = require('mongoose');
+const { UsageCounter } = require('../models/UsageCounter');
+
+const DUPLICATE_KEY = 11000;
+
+const decimal = (value) => mongoose.Types.Decimal128.fromString(value.toString());
+
+// Fixed window containing `now`, e.g. window(DAY_MS) for the current UTC day
+function window(ms, now = Date.now()) {
+    const start = Math.floor(now / ms) * ms;
+    return { start, end: new Date(start + ms) };
+}
+
+// Create a missing counter from what is already on record (limits that existed before
+// the counter did), so switching to counters does not reset anyone's usage
+async function seedCounter(key, seed, expiresAt) {
+    if (await UsageCounter.exists({ key })) {
+        return;
+    }
+
+    const initial = await seed();
+    try {
+        await UsageCounter.updateOne({ key }, {
+            $setOnInsert: {
+                count: initial.count || 0,
+                amount: decimal(initial.amount || 0n),
+                expiresAt: initial.expiresAt || expiresAt
+            }
+        }, { upsert: true });
+    } catch (error) {
+        if (error.code !== DUPLICATE_KEY) throw error;
+    }
+}
+
+// Add count and amount to a counter unless that takes it over maxCount / maxAmount.
+// Resolves with the counter, or null when a limit would be exceeded.
+async function reserve(key, { count = 0, amount = 0n, maxCount, maxAmount, expiresAt, seed } = {}) {
+    if ((maxCount !== undefined && count > maxCount) || (maxAmount !== undefined && amount > maxAmount)) {
+        return null;
+    }
+    if (seed) {
+        await seedCounter(key, seed, expiresAt);
+    }
+
+    const filter = { key };
+    if (maxCount !== undefined) filter.count = { $lte: maxCount - count };
+    if (maxAmount !== undefined) filter.amount = { $lte: decimal(maxAmount - amount) };
+    const update = {
+        $inc: { count, amount: decimal(amount) },
+        ...(expiresAt ? { $max: { expiresAt } } : {})
+    };
+
+    // The upsert fails when the counter exists but is at its limit, or when a concurrent
+    // request created it first; one more try tells the two apart
+    for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+            return await UsageCounter.findOneAndUpdate(filter, update, { upsert: true, new: true });
+        } catch (error) {
+            if (error.code !== DUPLICATE_KEY) throw error;
+        }
+    }
+    return null;
+}
+
+// Uncapped change, e.g. the gas a transaction turned out to cost
+async function add(key, { count = 0, amount = 0n } = {}) {
+    await UsageCounter.updateOne({ key }, { $inc: { count, amount: decimal(amount) } });
+}
+
+// Give back a reservation whose action never happened
+async function release(key, { count = 0, amount = 0n } = {}) {
+    await add(key, { count: -count, amount: -amount });
+}
+
+async function get(key) {
+    return await UsageCounter.findOne({ key });
+}
+
+module.exports = { window, reserve, add, release, get };
@@ -0,0 +1,372 @@
+// server/services/webhookService.js
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const mongoose = require('mongoose');
+const Queue = require('bull');
+const { WebhookSubscription, WebhookDelivery } = require('../models/Webhook');
+const { logger } = require('./logger');
+
+const log = logger.child({ service: 'webhooks' });
+
+const EVENTS = ['market.created', 'market.voted', 'market.ended', 'market.settled', 'meme.created'];
+const MAX_PAGE_SIZE = 100;
+
+class WebhookError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'WebhookError';
+        this.status = status;
+    }
+}
+
+// Webhook endpoints must not reach the server's own network: loopback, private,
+// link-local (cloud metadata), CGNAT, multicast and reserved ranges are refused
+const BLOCKED = new net.BlockList();
+for (const [prefix, bits] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+    BLOCKED.addSubnet(prefix, bits, 'ipv4');
+}
+for (const [prefix, bits] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96]]) {
+    BLOCKED.addSubnet(prefix, bits, 'ipv6');
+}
+
+// IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are checked against the IPv4 ranges by BlockList
+function isPublicAddress(address) {
+    return !BLOCKED.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// dns.lookup that refuses non-public addresses, so a hostname re-pointed after it was
+// checked (DNS rebinding) still can't be connected to
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) {
+            return callback(error);
+        }
+        const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+        if (!addresses.every(isPublicAddress)) {
+            return callback(new Error(`${hostname} resolves to a non-public address`));
+        }
+        callback(null, address, family);
+    });
+}
+
+// HMAC-SHA256 over "<timestamp>.<body>", sent as X-Webhook-Signature: t=<timestamp>,v1=<hex>
+function sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Partner webhooks: subscriptions, signed deliveries retried with backoff, and a delivery log
+class WebhookService {
+    constructor() {
+        this.redisUrl = process.env.REDIS_URL || 'redis://127.0.0.1:6379';
+        this.timeoutMs = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+        this.maxAttempts = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+        this.backoffMs = Number(process.env.WEBHOOK_BACKOFF_MS) || 30 * 1000;
+        this.queue = null;
+    }
+
+    getQueue() {
+        if (!this.queue) {
+            this.queue = new Queue('webhook-delivery', this.redisUrl);
+        }
+        return this.queue;
+    }
+
+    start() {
+        log.info('Starting webhook delivery');
+
+        const queue = this.getQueue();
+        queue.process((job) => this.deliver(job.data.deliveryId));
+        queue.on('failed', async (job, error) => {
+            if (job.attemptsMade < job.opts.attempts) {
+                return;
+            }
+            try {
+                await WebhookDelivery.updateOne({ deliveryId: job.data.deliveryId }, { status: 'failed', error: error.message });
+            } catch (err) {
+                log.error('Failed to mark webhook delivery failed', { deliveryId: job.data.deliveryId, error: err });
+            }
+        });
+    }
+
+    validate({ name, url, events, chainIds }, partial = false) {
+        if (!partial || name !== undefined) {
+            if (typeof name !== 'string' || !name.trim()) {
+                throw new WebhookError('name is required');
+            }
+        }
+        if (!partial || url !== undefined) {
+            let parsed;
+            try {
+                parsed = new URL(url);
+            } catch (error) {
+                throw new WebhookError('url must be an http(s) URL');
+            }
+            if (!['http:', 'https:'].includes(parsed.protocol)) {
+                throw new WebhookError('url must be an http(s) URL');
+            }
+        }
+        if (!partial || events !== undefined) {
+            if (!Array.isArray(events) || events.length === 0 || !events.every(event => event === '*' || EVENTS.includes(event))) {
+                throw new WebhookError(`events must be a list of: *, ${EVENTS.join(', ')}`);
+            }
+        }
+        if (chainIds !== undefined && (!Array.isArray(chainIds) || !chainIds.every(Number.isInteger))) {
+            throw new WebhookError('chainIds must be a list of chain ids');
+        }
+    }
+
+    // The endpoint's host must resolve only to public addresses
+    async checkPublicUrl(url) {
+        const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+        let addresses;
+        if (net.isIP(hostname)) {
+            addresses = [hostname];
+        } else {
+            try {
+                addresses = (await dns.promises.lookup(hostname, { all: true })).map(entry => entry.address);
+            } catch (error) {
+                throw new WebhookError(`url host ${hostname} does not resolve`);
+            }
+        }
+
+        if (!addresses.every(isPublicAddress)) {
+            throw new WebhookError('url must point to a public address');
+        }
+    }
+
+    generateSecret() {
+        return `whsec_${crypto.randomBytes(32).toString('hex')}`;
+    }
+
+    // The secret is only returned here and when rotated
+    async createSubscription({ name, url, events, chainIds = [] }, createdBy) {
+        this.validate({ name, url, events, chainIds });
+        await this.checkPublicUrl(url);
+
+        const secret = this.generateSecret();
+        const subscription = await WebhookSubscription.create({ name, url, events, chainIds, secret, createdBy });
+        return { ...subscription.toObject(), secret };
+    }
+
+    async findSubscription(id) {
+        if (!mongoose.isValidObjectId(id)) {
+            throw new WebhookError('Invalid subscription id');
+        }
+
+        const subscription = await WebhookSubscription.findById(id);
+        if (!subscription) {
+            throw new WebhookError('Subscription not found', 404);
+        }
+        return subscription;
+    }
+
+    async listSubscriptions() {
+        return await WebhookSubscription.find().sort({ createdAt: -1 });
+    }
+
+    // Change { name, url, events, chainIds, active }, or { rotateSecret: true } for a new secret
+    async updateSubscription(id, changes) {
+        this.validate(changes, true);
+        if (changes.active !== undefined && typeof changes.active !== 'boolean') {
+            throw new WebhookError('active must be true or false');
+        }
+        if (changes.url !== undefined) {
+            await this.checkPublicUrl(changes.url);
+        }
+
+        const subscription = await this.findSubscription(id);
+        for (const field of ['name', 'url', 'events', 'chainIds', 'active']) {
+            if (changes[field] !== undefined) {
+                subscription[field] = changes[field];
+            }
+        }
+
+        let secret;
+        if (changes.rotateSecret === true) {
+            secret = this.generateSecret();
+            subscription.secret = secret;
+        }
+
+        await subscription.save();
+        return secret ? { ...subscription.toObject(), secret } : subscription;
+    }
+
+    async deleteSubscription(id) {
+        const subscription = await this.findSubscription(id);
+        await subscription.deleteOne();
+        return { deleted: true, id };
+    }
+
+    // Queue one delivery per matching subscription. Never throws, a webhook
+    // problem must not break the flow that produced the event.
+    async dispatch(event, data, { chainId } = {}) {
+        try {
+            const subscriptions = await WebhookSubscription.find({
+                active: true,
+                events: { $in: [event, '*'] },
+                $or: [{ chainIds: { $size: 0 } }, { chainIds: chainId }]
+            });
+            if (subscriptions.length === 0) {
+                return;
+            }
+
+            const payload = {
+                eventId: crypto.randomUUID(),
+                event,
+                chainId,
+                createdAt: new Date().toISOString(),
+                data
+            };
+
+            for (const subscription of subscriptions) {
+                await this.enqueue({ subscriptionId: subscription._id, event, chainId, payload });
+            }
+        } catch (error) {
+            log.error('Failed to dispatch webhooks', { event, chainId, error });
+        }
+    }
+
+    async enqueue(fields) {
+        const delivery = await WebhookDelivery.create({ deliveryId: crypto.randomUUID(), ...fields });
+
+        await this.getQueue().add({ deliveryId: delivery.deliveryId }, {
+            jobId: delivery.deliveryId,
+            attempts: this.maxAttempts,
+            backoff: { type: 'exponential', delay: this.backoffMs },
+            removeOnComplete: true,
+            removeOnFail: true
+        });
+        return delivery;
+    }
+
+    // Queue worker: POST the signed payload, throwing so Bull retries on failure
+    async deliver(deliveryId) {
+        const delivery = await WebhookDelivery.findOne({ deliveryId });
+        if (!delivery || delivery.status !== 'pending') {
+            return;
+        }
+
+        const subscription = await WebhookSubscription.findById(delivery.subscriptionId).select('+secret');
+        if (!subscription || !subscription.active) {
+            delivery.status = 'failed';
+            delivery.error = 'Subscription deleted or inactive';
+            await delivery.save();
+            return;
+        }
+
+        const body = JSON.stringify({ ...delivery.payload, deliveryId });
+        const timestamp = Math.floor(Date.now() / 1000);
+
+        delivery.attempts += 1;
+        delivery.lastAttemptAt = new Date();
+
+        try {
+            await this.checkPublicUrl(subscription.url);
+        } catch (error) {
+            delivery.status = 'failed';
+            delivery.error = error.message;
+            await delivery.save();
+            return;
+        }
+
+        try {
+            const status = await this.post(subscription.url, {
+                'Content-Type': 'application/json',
+                'User-Agent': 'ViralForge-Webhooks/1.0',
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Delivery': deliveryId,
+                'X-Webhook-Signature': `t=${timestamp},v1=${sign(subscription.secret, timestamp, body)}`
+            }, body);
+
+            delivery.responseStatus = status;
+            if (status < 200 || status >= 300) {
+                throw new Error(`Endpoint responded ${status}`);
+            }
+
+            delivery.status = 'succeeded';
+            delivery.deliveredAt = new Date();
+            delivery.error = undefined;
+            await delivery.save();
+        } catch (error) {
+            delivery.error = error.message;
+            await delivery.save();
+            throw error;
+        }
+    }
+
+    // POST without following redirects, connecting only to public addresses. Resolves with the status code
+    post(url, headers, body) {
+        const target = new URL(url);
+        const client = target.protocol === 'https:' ? https : http;
+
+        return new Promise((resolve, reject) => {
+            const request = client.request(target, {
+                method: 'POST',
+                headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+                lookup: publicLookup,
+                timeout: this.timeoutMs
+            }, (response) => {
+                response.resume();
+                resolve(response.statusCode);
+            });
+            request.on('timeout', () => request.destroy(new Error(`Endpoint timed out after ${this.timeoutMs}ms`)));
+            request.on('error', reject);
+            request.end(body);
+        });
+    }
+
+    async listDeliveries(subscriptionId, { status, event, page = 1, limit = 50 }) {
+        const subscription = await this.findSubscription(subscriptionId);
+        const pageSize = Math.min(Math.max(Number(limit) || 50, 1), MAX_PAGE_SIZE);
+        const pageNumber = Math.max(Number(page) || 1, 1);
+        const filter = { subscriptionId: subscription._id };
+        if (status !== undefined) {
+            if (!['pending', 'succeeded', 'failed'].includes(status)) {
+                throw new WebhookError('status must be pending, succeeded or failed');
+            }
+            filter.status = status;
+        }
+        if (event !== undefined) {
+            filter.event = String(event);
+        }
+
+        const [total, deliveries] = await Promise.all([
+            WebhookDelivery.countDocuments(filter),
+            WebhookDelivery.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((pageNumber - 1) * pageSize)
+                .limit(pageSize)
+        ]);
+
+        return { deliveries, page: pageNumber, limit: pageSize, total };
+    }
+
+    // Send a past delivery's payload again as a new delivery (same eventId, so consumers can dedupe)
+    async replay(deliveryId) {
+        const original = await WebhookDelivery.findOne({ deliveryId: String(deliveryId) });
+        if (!original) {
+            throw new WebhookError('Delivery not found', 404);
+        }
+        await this.findSubscription(original.subscriptionId);
+
+        return await this.enqueue({
+            subscriptionId: original.subscriptionId,
+            event: original.event,
+            chainId: original.chainId,
+            payload: original.payload,
+            replayOf: original.deliveryId
+        });
+    }
+}
+
+WebhookService.EVENTS = EVENTS;
+WebhookService.WebhookError = WebhookError;
+WebhookService.sign = sign;
+
+module.exports = WebhookService;